@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Trinity Vibe command line
+ * An interactive REPL over the textual syntax, a runner for script files and the
+ * Symbol Inspector views of the IDE, working on a space that can be loaded from and
+ * saved to a FileStorageAdapter log.
+ *
+ *   trinity-vibe                               REPL
+ *   trinity-vibe run counter.vibe              run .vibe (or .js) files in order
+ *   trinity-vibe inspect <hash> --load s.jsonl print a symbol like the IDE inspector
+ *   trinity-vibe export <hash> --load s.jsonl --out symbol.json
+ *
+ *   --space <file>  load the space from <file> and save it back when done
+ *   --load <file>   load the space from <file>
+ *   --save <file>   save the space to <file> when done
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const TrinityVibe = require('../trinity-vibe-core.js');
+const Lang = require('../trinity-vibe-lang.js');
+
+const USAGE = `Usage: trinity-vibe [command] [options]
+
+Commands:
+  repl                     Start the interactive REPL (default)
+  run <file...>            Run .vibe or .js files in order
+  inspect <hash>           Print a symbol: hash, type, coord, value, tape, history, structure, source
+  export <hash>            Print a symbol as JSON (the stored record plus structure and source)
+  help                     Show this help
+
+Options:
+  --space <file>           Load the space from <file> and save it back when done
+  --load <file>            Load the space from <file>
+  --save <file>            Save the space to <file> when done
+  --out <file>             export: write to <file> instead of stdout
+  --version                Print the version
+
+Hashes may be shortened to a unique prefix.`;
+
+const REPL_HELP = `Expressions are Trinity Vibe forms: (def data (vibe {:count 0})), (transform data :merge {:count 1}),
+(revert data), (send Counter :increment) ... The last symbol is bound to $, (sym "ab12") finds one by hash prefix.
+
+  .inspect [ref]           Hash, type, coord, value, tape, history, structure and source of a symbol
+  .structure [ref]         The symbol's structure
+  .tape [ref]              The symbol's tape operations
+  .history [ref]           The symbol's history
+  .undo [steps]            Revert $ (and the names bound to it) with vibeRevert
+  .ls [query]              List symbols matching a query string, e.g. .ls type:ACTOR coord:10..
+  .export [ref] [file]     Print a symbol as JSON, or write it to a file
+  .save [file]             Save the space (to the --space / --save file by default)
+  .load <file>             Replace the space with the one stored in <file>
+  .break                   Abandon a multi-line form
+  .exit                    Leave (saving to the --space / --save file)
+
+A ref is a name bound in the REPL, a hash prefix, or $ (the default).`;
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+// ============= ARGUMENTS =============
+
+function parseArgs(argv) {
+    const options = { command: 'repl', args: [], load: null, save: null, out: null };
+    const valueFlags = { '--load': 'load', '--save': 'save', '--out': 'out' };
+    const rest = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--space') {
+            options.load = options.save = requireValue(argv, ++i, arg);
+        } else if (valueFlags[arg]) {
+            options[valueFlags[arg]] = requireValue(argv, ++i, arg);
+        } else if (arg === '--help' || arg === '-h') {
+            rest.unshift('help');
+        } else if (arg === '--version' || arg === '-v') {
+            rest.unshift('version');
+        } else if (arg.startsWith('--')) {
+            throw new CliError(`Unknown option '${arg}'`);
+        } else {
+            rest.push(arg);
+        }
+    }
+    if (rest.length > 0) options.command = rest.shift();
+    options.args = rest;
+    return options;
+}
+
+function requireValue(argv, index, flag) {
+    if (index >= argv.length) throw new CliError(`${flag} expects a file`);
+    return argv[index];
+}
+
+// ============= PERSISTENCE =============
+
+// One adapter per file, so repeated saves only append the versions that file lacks.
+// The first save to a file this session did not load from rewrites it.
+const adapters = new Map();
+
+function adapterFor(file) {
+    const key = path.resolve(file);
+    if (!adapters.has(key)) adapters.set(key, { adapter: new TrinityVibe.FileStorageAdapter(key), synced: false });
+    return adapters.get(key);
+}
+
+async function loadSpace(file) {
+    const entry = adapterFor(file);
+    const restored = await TrinityVibe.restoreSpace(entry.adapter);
+    entry.synced = true;
+    return restored;
+}
+
+async function saveSpace(file) {
+    const entry = adapterFor(file);
+    const written = await TrinityVibe.persistSpace(entry.adapter, { full: !entry.synced });
+    entry.synced = true;
+    return written;
+}
+
+// ============= SYMBOLS =============
+
+function findSymbol(prefix) {
+    const space = TrinityVibe.getVibeSpace();
+    if (space.has(prefix)) return space.get(prefix);
+    const matches = Array.from(space.keys()).filter(hash => hash.startsWith(prefix));
+    if (matches.length === 0) throw new CliError(`Symbol not found: ${prefix}`);
+    if (matches.length > 1) throw new CliError(`More than one symbol matches '${prefix}'`);
+    return space.get(matches[0]);
+}
+
+// Actors and prototypes keep their names, so a loaded space can bind them again
+function namedHeads() {
+    const heads = new Map();
+    Array.from(TrinityVibe.getVibeSpace().values())
+        .sort((a, b) => a.coord - b.coord)
+        .forEach(symbol => {
+            const name = symbol.value && symbol.value.name;
+            if (typeof name === 'string' && (symbol.vibeType === 'ACTOR' || symbol.vibeType === 'PROTOTYPE')) {
+                heads.set(name, symbol);
+            }
+        });
+    return heads;
+}
+
+function preview(value, limit = 120) {
+    let text;
+    try {
+        text = Lang.toSource(value);
+    } catch (error) {
+        text = TrinityVibe.safeStringify(value);
+    }
+    return text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+}
+
+function formatResult(value) {
+    if (value instanceof TrinityVibe.VibeSymbol) {
+        return `${value.getVibeEmoji()} ${value.vibeType} ${value.hash.slice(0, 12)} ${preview(value.value)}`;
+    }
+    return preview(value, Infinity);
+}
+
+// The same fields the IDE Symbol Inspector shows
+function describeSymbol(symbol) {
+    const valuePreview = typeof symbol.value === 'object'
+        ? (symbol.value && symbol.value.kind ? symbol.value.kind : 'object')
+        : symbol.value;
+    return [
+        `Hash: ${symbol.hash}`,
+        `Type: ${symbol.vibeType}`,
+        `Coord: ${symbol.coord}`,
+        `Value: ${JSON.stringify(valuePreview)}`,
+        `Tape Ops: ${symbol.tapeOperations.length}`,
+        `History: ${JSON.stringify(symbol.history)}`,
+        `Structure: ${JSON.stringify(symbol.structure, null, 2)}`,
+        `Source: ${symbol.sourceCode}`
+    ].join('\n');
+}
+
+function describeTape(symbol) {
+    if (symbol.tapeOperations.length === 0) return '(empty tape)';
+    return symbol.tapeOperations.map(op => (op.toCode ? op.toCode() : JSON.stringify(op))).join('\n');
+}
+
+function exportSymbol(symbol) {
+    const payload = { ...TrinityVibe.serializeSymbol(symbol), structure: symbol.structure, sourceCode: symbol.sourceCode };
+    return JSON.stringify(payload, null, 2);
+}
+
+function listSymbols(query) {
+    const symbols = TrinityVibe.querySymbols(query);
+    const space = TrinityVibe.getVibeSpace();
+    const lines = symbols.map(symbol => `${String(symbol.coord).padStart(5)}  ${symbol.hash.slice(0, 12)}  ${symbol.getVibeEmoji()} ${symbol.vibeType}  ${preview(symbol.value, 60)}`);
+    lines.push(`${symbols.length} of ${space.size} symbols match`);
+    return lines.join('\n');
+}
+
+// ============= COMMANDS =============
+
+async function runFiles(files, options) {
+    if (files.length === 0) throw new CliError('run expects at least one file');
+    const env = Lang.createEnvironment();
+    for (const file of files) {
+        if (path.extname(file) === '.js') {
+            require(path.resolve(file));
+        } else {
+            Lang.evaluateFile(file, env);
+        }
+    }
+    if (options.save) await saveSpace(options.save);
+}
+
+function inspectCommand(args) {
+    if (args.length !== 1) throw new CliError('inspect expects a hash');
+    console.log(describeSymbol(findSymbol(args[0])));
+}
+
+function exportCommand(args, options) {
+    if (args.length !== 1) throw new CliError('export expects a hash');
+    const json = exportSymbol(findSymbol(args[0]));
+    if (options.out) {
+        fs.writeFileSync(options.out, json + '\n', 'utf8');
+        console.log(`📦 Exported ${args[0]} to ${options.out}`);
+    } else {
+        console.log(json);
+    }
+}
+
+// ============= REPL =============
+
+function isIncomplete(error) {
+    return error instanceof Lang.VibeSyntaxError && /^(Missing '|Unterminated string)/.test(error.message);
+}
+
+function startRepl(options) {
+    const repl = require('repl');
+    const env = Lang.createEnvironment();
+    let current = null; // The last symbol, bound to $
+
+    const setCurrent = symbol => {
+        current = symbol;
+        env.define('$', symbol);
+    };
+    const bindNamed = () => namedHeads().forEach((symbol, name) => env.define(name, symbol));
+    // Symbols bound before a .load belong to the replaced space
+    const dropSymbols = () => {
+        for (const [name, value] of env.bindings) {
+            if (value instanceof TrinityVibe.VibeSymbol) env.bindings.delete(name);
+        }
+        current = null;
+    };
+    env.define('sym', prefix => findSymbol(String(prefix)));
+
+    const resolveRef = ref => {
+        if (!ref || ref === '$') {
+            if (!current) throw new CliError('No symbol yet: evaluate one or pass a ref');
+            return current;
+        }
+        const bound = env.find(ref) && env.lookup(ref);
+        return bound instanceof TrinityVibe.VibeSymbol ? bound : findSymbol(ref);
+    };
+
+    // Input that arrives while an async command (.load, .save) runs waits for it
+    let pending = null;
+    const inOrder = task => {
+        const result = pending ? pending.then(task) : task();
+        if (result && typeof result.then === 'function') {
+            const settled = pending = result.catch(report).then(() => {
+                if (pending === settled) pending = null;
+            });
+        }
+    };
+
+    const server = repl.start({
+        prompt: process.stdin.isTTY ? 'vibe> ' : '',
+        terminal: process.stdin.isTTY,
+        ignoreUndefined: true,
+        writer: formatResult,
+        eval: (input, context, filename, callback) => {
+            if (!input.trim()) return callback(null);
+            inOrder(() => {
+                let result;
+                try {
+                    result = Lang.evaluate(input, env);
+                } catch (error) {
+                    if (isIncomplete(error)) return callback(new repl.Recoverable(error));
+                    report(error);
+                    return callback(null);
+                }
+                if (result instanceof TrinityVibe.VibeSymbol) setCurrent(result);
+                callback(null, result);
+            });
+        }
+    });
+
+    // Commands report their own errors so the session keeps going
+    const command = (name, help, action) => server.defineCommand(name, {
+        help,
+        action(line) {
+            inOrder(() => {
+                let done;
+                try {
+                    done = action(line.trim());
+                } catch (error) {
+                    report(error);
+                }
+                if (done && typeof done.then === 'function') return done.catch(report).then(() => server.displayPrompt());
+                server.displayPrompt();
+            });
+        }
+    });
+
+    command('inspect', 'Inspect a symbol', ref => console.log(describeSymbol(resolveRef(ref))));
+    command('structure', 'Show the structure of a symbol', ref => console.log(JSON.stringify(resolveRef(ref).structure, null, 2)));
+    command('tape', 'Show the tape operations of a symbol', ref => console.log(describeTape(resolveRef(ref))));
+    command('history', 'Show the history of a symbol', ref => console.log(JSON.stringify(resolveRef(ref).history, null, 2)));
+    command('ls', 'List symbols matching a query', query => console.log(listSymbols(query)));
+    command('undo', 'Revert the last symbol with vibeRevert', steps => {
+        const previous = resolveRef('$');
+        const reverted = TrinityVibe.vibeRevert(previous, steps ? Number(steps) : 1);
+        for (const [name, value] of env.bindings) {
+            if (value === previous) env.define(name, reverted);
+        }
+        setCurrent(reverted);
+        console.log(formatResult(reverted));
+    });
+    command('export', 'Print a symbol as JSON, or write it to a file', line => {
+        const [ref, file] = line.split(/\s+/);
+        const json = exportSymbol(resolveRef(ref));
+        if (!file) return console.log(json);
+        fs.writeFileSync(file, json + '\n', 'utf8');
+        console.log(`📦 Exported to ${file}`);
+    });
+    command('save', 'Save the space to a file', async file => {
+        const target = file || options.save;
+        if (!target) throw new CliError('.save expects a file (or start with --space / --save)');
+        const written = await saveSpace(target);
+        console.log(`💾 Saved ${written} new symbols to ${target}`);
+    });
+    command('load', 'Replace the space with a stored one', async file => {
+        if (!file) throw new CliError('.load expects a file');
+        const restored = await loadSpace(file);
+        if (restored > 0) dropSymbols(); // An empty store leaves the space alone
+        bindNamed();
+        console.log(`📂 Loaded ${restored} symbols from ${file}`);
+    });
+    command('help', 'Show the commands and forms of the REPL', () => console.log(REPL_HELP));
+
+    bindNamed();
+    server.on('exit', () => {
+        const done = Promise.resolve(pending).then(() => options.save && saveSpace(options.save));
+        done.then(() => process.exit(0), error => {
+            report(error);
+            process.exit(1);
+        });
+    });
+    return server;
+}
+
+// ============= MAIN =============
+
+function report(error) {
+    const known = error instanceof CliError || error instanceof Lang.VibeSyntaxError ||
+        error instanceof Lang.VibeEvalError || error.code === 'QUERY_ERROR';
+    console.error(`❌ ${known ? error.message : (error.stack || error)}`);
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    switch (options.command) {
+        case 'help':
+            console.log(USAGE);
+            return;
+        case 'version':
+            console.log(require('../package.json').version);
+            return;
+        case 'repl':
+        case 'run':
+        case 'inspect':
+        case 'export':
+            break;
+        default:
+            throw new CliError(`Unknown command '${options.command}'\n\n${USAGE}`);
+    }
+
+    if (options.load) {
+        const restored = await loadSpace(options.load);
+        if (options.command === 'repl') console.log(`📂 Loaded ${restored} symbols from ${options.load}`);
+    }
+
+    if (options.command === 'repl') {
+        if (process.stdin.isTTY) console.log('🎵 Trinity Vibe REPL - .help for commands, .exit to leave');
+        startRepl(options);
+    } else if (options.command === 'run') {
+        await runFiles(options.args, options);
+    } else if (options.command === 'inspect') {
+        inspectCommand(options.args);
+    } else {
+        exportCommand(options.args, options);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        report(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs, describeSymbol, exportSymbol };
@@ -13,7 +13,7 @@ function apiProcessingExample() {
     console.log('=' .repeat(50));
     
     // Create an API request processor actor
-    const apiProcessor = TrinityVibe.createVibeActor('APIProcessor', {
+    let apiProcessor = TrinityVibe.createVibeActor('APIProcessor', {
         state: {
             requestCount: 0,
             errorCount: 0
@@ -39,7 +39,7 @@ function apiProcessingExample() {
                         userId: request.userId,
                         action: request.action,
                         processed: true,
-                        timestamp: new Date().toISOString()
+                        timestamp: new Date(TrinityVibe.vibeNow()).toISOString()
                     },
                     requestId: TrinityVibe.createVibeId()
                 };
@@ -63,12 +63,14 @@ function apiProcessingExample() {
         { userId: 'user789', action: 'createPost' }
     ];
     
+    // Each message that changes the state returns the next actor version
     requests.forEach((req, index) => {
-        const result = TrinityVibe.sendMessage(apiProcessor, 'processRequest', req);
-        console.log(`Request ${index + 1}:`, result);
+        const { actor, out } = TrinityVibe.sendMessage(apiProcessor, 'processRequest', req);
+        apiProcessor = actor;
+        console.log(`Request ${index + 1}:`, out);
     });
     
-    const stats = TrinityVibe.sendMessage(apiProcessor, 'getStats');
+    const stats = TrinityVibe.sendMessage(apiProcessor, 'getStats').out;
     console.log('\n📊 API Processing Stats:', stats);
     console.log('');
 }
@@ -87,7 +89,7 @@ function databaseExample() {
                 const user = {
                     id: TrinityVibe.createVibeId(),
                     ...userData,
-                    createdAt: new Date().toISOString()
+                    createdAt: new Date(TrinityVibe.vibeNow()).toISOString()
                 };
                 
                 this.users.push(user);
@@ -108,7 +110,7 @@ function databaseExample() {
                 this.users[userIndex] = {
                     ...this.users[userIndex],
                     ...updates,
-                    updatedAt: new Date().toISOString()
+                    updatedAt: new Date(TrinityVibe.vibeNow()).toISOString()
                 };
                 
                 return { old: oldUser, new: this.users[userIndex] };
@@ -124,10 +126,12 @@ function databaseExample() {
     let db = TrinityVibe.instantiate(UserDatabase, { users: [] });
     
     console.log('➕ Adding users...');
-    const user1 = TrinityVibe.callMethod(db, 'addUser', { name: 'Alice', email: 'alice@example.com' });
-    const user2 = TrinityVibe.callMethod(db, 'addUser', { name: 'Bob', email: 'bob@example.com' });
-    console.log('Added Alice:', user1.id);
-    console.log('Added Bob:', user2.id);
+    // Each call returns the next database version alongside the method's output
+    const added1 = TrinityVibe.callMethod(db, 'addUser', { name: 'Alice', email: 'alice@example.com' });
+    const added2 = TrinityVibe.callMethod(added1.instance, 'addUser', { name: 'Bob', email: 'bob@example.com' });
+    db = added2.instance;
+    console.log('Added Alice:', added1.out.id);
+    console.log('Added Bob:', added2.out.id);
     
     // Transform database state (this creates a new version we can revert to)
     db = TrinityVibe.vibeTransform(db, {
@@ -144,8 +148,7 @@ function databaseExample() {
     });
     
     console.log('\n🔄 After transformation (added displayName):');
-    // After transformation, access the data directly since it's no longer a prototype instance
-    const allUsers = db.value.users || [];
+    const allUsers = TrinityVibe.callMethod(db, 'getAllUsers').out;
     allUsers.forEach(user => {
         console.log(`- ${user.name} (${user.displayName}) - ${user.email}`);
     });
@@ -184,7 +187,7 @@ function eventProcessingExample() {
     console.log('=' .repeat(50));
     
     // Create event processor
-    const eventProcessor = TrinityVibe.createVibeActor('EventProcessor', {
+    let eventProcessor = TrinityVibe.createVibeActor('EventProcessor', {
         state: {
             processedEvents: [],
             filters: []
@@ -210,7 +213,7 @@ function eventProcessingExample() {
                 // Process the event
                 const processedEvent = {
                     ...event,
-                    processedAt: new Date().toISOString(),
+                    processedAt: new Date(TrinityVibe.vibeNow()).toISOString(),
                     id: TrinityVibe.createVibeId()
                 };
                 
@@ -230,10 +233,10 @@ function eventProcessingExample() {
     });
     
     // Add some filters
-    TrinityVibe.sendMessage(eventProcessor, 'addFilter', 
-        (event) => event.type !== 'spam', 'spam-filter');
-    TrinityVibe.sendMessage(eventProcessor, 'addFilter', 
-        (event) => event.priority >= 1, 'priority-filter');
+    eventProcessor = TrinityVibe.sendMessage(eventProcessor, 'addFilter', 
+        (event) => event.type !== 'spam', 'spam-filter').actor;
+    eventProcessor = TrinityVibe.sendMessage(eventProcessor, 'addFilter', 
+        (event) => event.priority >= 1, 'priority-filter').actor;
     
     // Process some events
     const events = [
@@ -246,12 +249,13 @@ function eventProcessingExample() {
     
     console.log('Processing events...');
     events.forEach((event, index) => {
-        const result = TrinityVibe.sendMessage(eventProcessor, 'processEvent', event);
+        const { actor, out: result } = TrinityVibe.sendMessage(eventProcessor, 'processEvent', event);
+        eventProcessor = actor;
         console.log(`Event ${index + 1} (${event.type}):`, 
             result.processed ? '✅ Processed' : `❌ ${result.reason}`);
     });
     
-    const processed = TrinityVibe.sendMessage(eventProcessor, 'getProcessedEvents');
+    const processed = TrinityVibe.sendMessage(eventProcessor, 'getProcessedEvents').out;
     console.log(`\n📈 Total events processed: ${processed.length}`);
     processed.forEach(event => {
         console.log(`- ${event.type} (priority: ${event.priority}) at ${event.processedAt}`);
@@ -265,8 +269,8 @@ function configurationExample() {
     console.log('=' .repeat(50));
     
     // Create configuration with restricted capabilities
-    const readOnlyToken = new TrinityVibe.VibeToken(0b0001, Date.now() + 10000, 0.5); // Only read permission
-    const adminToken = new TrinityVibe.VibeToken(0b1111, Date.now() + 10000, 1.0); // All permissions
+    const readOnlyToken = new TrinityVibe.VibeToken(0b0001, null, 0.5, { expiresAt: Date.now() + 10000 }); // Only read permission
+    const adminToken = new TrinityVibe.VibeToken(0b1111, null, 1.0, { expiresAt: Date.now() + 10000 }); // All permissions
     
     const config = TrinityVibe.createVibeSymbol({
         database: {
@@ -322,12 +326,53 @@ function configurationExample() {
     console.log('');
 }
 
+// Example 5: Concurrent Request Handling with Actor Mailboxes
+async function mailboxExample() {
+    console.log('📬 Example 5: Concurrent Requests with Actor Mailboxes');
+    console.log('=' .repeat(50));
+    
+    const scheduler = new TrinityVibe.VibeScheduler({ mailboxLimit: 100 });
+    const processor = scheduler.spawn(TrinityVibe.createVibeActor('APIProcessor', {
+        state: { requestCount: 0, errorCount: 0 },
+        handlers: {
+            processRequest: function(request) {
+                this.state.requestCount++;
+                if (!request.userId) {
+                    this.state.errorCount++;
+                    throw new Error('Missing userId');
+                }
+                return { success: true, userId: request.userId, order: this.state.requestCount };
+            },
+            log: function(entry) {
+                console.log(`  📝 ${entry}`);
+            }
+        }
+    }));
+    
+    // Fire-and-forget messages and request/reply messages share one ordered mailbox
+    processor.send('log', 'batch started');
+    const replies = await Promise.allSettled([
+        processor.ask('processRequest', { userId: 'user123' }),
+        processor.ask('processRequest', { action: 'deleteUser' }),
+        processor.ask('processRequest', { userId: 'user789' })
+    ]);
+    replies.forEach((reply, index) => {
+        console.log(`Request ${index + 1}:`, reply.status === 'fulfilled' ? reply.value : reply.reason.message);
+    });
+    
+    await scheduler.drain();
+    console.log(`State: ${JSON.stringify(processor.state)} after ${processor.processed} messages`);
+    console.log(`Versions recorded: ${processor.current.history.length + 1}`);
+    console.log('');
+}
+
 // Run all examples
-function runAllExamples() {
+async function runAllExamples() {
     apiProcessingExample();
     databaseExample();
     eventProcessingExample();
     configurationExample();
+    await mailboxExample();
     
     console.log('🎯 All examples completed!');
     console.log(`📊 Total symbols in VIBE_SPACE: ${TrinityVibe.getVibeSpace().size}`);
@@ -344,5 +389,6 @@ module.exports = {
     databaseExample,
     eventProcessingExample,
     configurationExample,
+    mailboxExample,
     runAllExamples
 };
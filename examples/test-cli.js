@@ -0,0 +1,148 @@
+/**
+ * Trinity Vibe CLI Tests
+ * The trinity-vibe bin: run, inspect, export, the REPL and space files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'trinity-vibe.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trinity-vibe-cli-'));
+
+let testCount = 0;
+let passCount = 0;
+
+function test(name, testFn) {
+    testCount++;
+    try {
+        testFn();
+        console.log(`✅ ${name}`);
+        passCount++;
+    } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+function cli(args, input = '') {
+    const result = spawnSync(process.execPath, [BIN, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function storedHashes(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).hash);
+}
+
+console.log('🧪 Trinity Vibe CLI Tests\n');
+
+// Test 1: Run a script and save its space
+test('Run with --save', () => {
+    const script = path.join(dir, 'counter.vibe');
+    const space = path.join(dir, 'run.jsonl');
+    fs.writeFileSync(script, '(def c (vibe {:count 0}))\n(transform c :merge {:count 1})\n(print "done")\n');
+
+    const result = cli(['run', script, '--save', space]);
+    assertEqual(result.status, 0, `run should succeed: ${result.stderr}`);
+    assert(result.stdout.includes('done'), 'The script should run');
+    assertEqual(storedHashes(space).length, 2, 'Both versions should be saved');
+});
+
+// Test 2: Inspect and export mirror the IDE Symbol Inspector
+test('Inspect and export', () => {
+    const space = path.join(dir, 'run.jsonl');
+    const [first, second] = storedHashes(space);
+
+    const inspected = cli(['inspect', second.slice(0, 10), '--load', space]);
+    assertEqual(inspected.status, 0, `inspect should accept a hash prefix: ${inspected.stderr}`);
+    ['Hash: ', 'Type: OBJECT', 'Coord: 1', 'Tape Ops: ', 'History: ', 'Structure: ', 'Source: '].forEach(field => {
+        assert(inspected.stdout.includes(field), `inspect should print ${field.trim()}`);
+    });
+
+    const out = path.join(dir, 'symbol.json');
+    assertEqual(cli(['export', second, '--load', space, '--out', out]).status, 0, 'export should succeed');
+    const payload = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assertEqual(payload.hash, second, 'The export should be the stored record');
+    assertEqual(payload.parentHash, first, 'The record should keep its lineage');
+    assert(payload.structure && payload.sourceCode, 'The export should include structure and source');
+});
+
+// Test 3: REPL session with undo, saved and reloaded through --space
+test('REPL with --space', () => {
+    const space = path.join(dir, 'repl.jsonl');
+    const session = cli(['--space', space], [
+        '(def data (vibe {:count 0}))',
+        '(transform data :merge',
+        '  {:count 5})',
+        '.undo',
+        '$.value.count',
+        '(actor Counter (state {:count 0}) (on increment () (set! state.count (+ state.count 1))))',
+        '.exit',
+        ''
+    ].join('\n'));
+    assertEqual(session.status, 0, `The session should end cleanly: ${session.stderr}`);
+    assert(/\n0\n/.test(session.stdout), '.undo should revert $ to the first version');
+
+    const reloaded = cli(['--space', space], '(send Counter :increment)\nCounter.value.state.count\n');
+    assertEqual(reloaded.status, 0, `The reloaded session should succeed: ${reloaded.stderr}`);
+    assert(/Loaded \d+ symbols/.test(reloaded.stdout), 'The space should be loaded');
+    assert(/\n1\n/.test(reloaded.stdout), 'Named actors should be bound again after loading');
+});
+
+// Test 4: Errors
+test('Errors', () => {
+    const unknown = cli(['frobnicate']);
+    assertEqual(unknown.status, 1, 'An unknown command should fail');
+    assert(unknown.stderr.includes("Unknown command 'frobnicate'"), 'The error should name the command');
+
+    const missing = cli(['inspect', 'ffff', '--load', path.join(dir, 'run.jsonl')]);
+    assertEqual(missing.status, 1, 'An unknown hash should fail');
+    assert(missing.stderr.includes('Symbol not found'), 'The error should say the symbol is missing');
+
+    const repl = cli([], '(undefined-thing)\n(+ 1 2)\n');
+    assert(repl.stderr.includes("❌ Unbound symbol 'undefined-thing'"), 'REPL errors should be reported');
+    assert(/\n?3\n/.test(repl.stdout), 'The session should go on after an error');
+});
+
+// Test 5: .load replaces what the REPL had bound
+test('REPL .load', () => {
+    const space = path.join(dir, 'run.jsonl');
+    const [, second] = storedHashes(space);
+    const session = cli([], [
+        '(def data (vibe {:count 7}))',
+        `.load ${space}`,
+        '.inspect',
+        'data',
+        `.inspect ${second.slice(0, 10)}`,
+        ''
+    ].join('\n'));
+    assert(session.stdout.includes('Loaded 2 symbols'), `The space should be loaded: ${session.stderr}`);
+    assert(session.stderr.includes('No symbol yet'), '$ should not point into the replaced space');
+    assert(session.stderr.includes("Unbound symbol 'data'"), 'Names bound before .load should be dropped');
+    assert(session.stdout.includes(`Hash: ${second}`), 'Loaded symbols should be inspectable');
+});
+
+fs.rmSync(dir, { recursive: true, force: true });
+
+// Run all tests and report results
+console.log(`\n📊 Test Results: ${passCount}/${testCount} passed`);
+
+if (passCount === testCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+} else {
+    console.log(`💥 ${testCount - passCount} test(s) failed`);
+    process.exit(1);
+}
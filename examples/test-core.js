@@ -0,0 +1,1360 @@
+/**
+ * Trinity Vibe Core Tests
+ * Basic test suite for the extracted core functionality
+ */
+
+const TrinityVibe = require('../trinity-vibe-core.js');
+
+let testCount = 0;
+let passCount = 0;
+let asyncTests = Promise.resolve(); // Async tests run one after another, after the sync ones
+
+function test(name, testFn) {
+    testCount++;
+    try {
+        testFn();
+        console.log(`✅ ${name}`);
+        passCount++;
+    } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+function testAsync(name, testFn) {
+    testCount++;
+    asyncTests = asyncTests.then(testFn).then(() => {
+        console.log(`✅ ${name}`);
+        passCount++;
+    }, (error) => {
+        console.log(`❌ ${name}: ${error.message}`);
+    });
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+console.log('🧪 Trinity Vibe Core Tests\n');
+
+// Test 1: Basic Symbol Creation
+test('Basic Symbol Creation', () => {
+    const symbol = TrinityVibe.createVibeSymbol('hello world');
+    assert(symbol.value === 'hello world', 'Symbol value should match input');
+    assert(symbol.hash, 'Symbol should have a hash');
+    assert(symbol.coord >= 0, 'Symbol should have temporal coordinate');
+    assert(symbol.vibeType === 'PRIMITIVE', 'String should be detected as PRIMITIVE');
+});
+
+// Test 2: Symbol Transformation
+test('Symbol Transformation', () => {
+    const original = TrinityVibe.createVibeSymbol({ count: 0 });
+    const transformed = TrinityVibe.vibeTransform(original, {
+        operation: (data) => ({ count: data.count + 1 })
+    });
+    
+    assertEqual(transformed.value.count, 1, 'Transformation should increment count');
+    assert(transformed.hash !== original.hash, 'Transformed symbol should have different hash');
+    assert(transformed.parentHash === original.hash, 'Transformed symbol should reference parent');
+});
+
+// Test 3: Symbol Reversion
+test('Symbol Reversion', () => {
+    const original = TrinityVibe.createVibeSymbol({ value: 'original' });
+    const step1 = TrinityVibe.vibeTransform(original, {
+        operation: () => ({ value: 'step1' })
+    });
+    const step2 = TrinityVibe.vibeTransform(step1, {
+        operation: () => ({ value: 'step2' })
+    });
+    
+    const reverted = TrinityVibe.vibeRevert(step2, 1);
+    assertEqual(reverted.value.value, 'step1', 'Should revert to step1');
+    
+    const revertedToOriginal = TrinityVibe.vibeRevert(step2, 2);
+    assertEqual(revertedToOriginal.value.value, 'original', 'Should revert to original');
+});
+
+// Test 4: Actor Creation and Messaging
+test('Actor Creation and Messaging', () => {
+    const counter = TrinityVibe.createVibeActor('Counter', {
+        state: { count: 0 },
+        handlers: {
+            increment: function() {
+                this.state.count++;
+                return this.state.count;
+            },
+            getCount: function() {
+                return this.state.count;
+            }
+        }
+    });
+    
+    assertEqual(counter.vibeType, 'ACTOR', 'Should be detected as ACTOR');
+    
+    const initial = TrinityVibe.sendMessage(counter, 'getCount');
+    assertEqual(initial.out, 0, 'Initial count should be 0');
+    assertEqual(initial.actor, counter, 'A message that changes nothing should keep the actor');
+    
+    const { actor: next, out } = TrinityVibe.sendMessage(counter, 'increment');
+    assertEqual(out, 1, 'Count should increment to 1');
+    assertEqual(next.parentHash, counter.hash, 'A changed state should be a new version');
+    assertEqual(counter.value.state.count, 0, 'The actor a message was sent to should stay unchanged');
+    assert(counter.verifyContentHash() && next.verifyContentHash(), 'Hashes should match the content');
+    assertEqual(TrinityVibe.sendMessage(next, 'increment').out, 2, 'Messages to the new version should continue from it');
+    assertEqual(TrinityVibe.vibeRevert(next, 1).value.state.count, 0, 'The message should be revertible');
+});
+
+// Test 5: Prototype System
+test('Prototype System', () => {
+    const Vehicle = TrinityVibe.createVibePrototype('Vehicle', {
+        methods: {
+            start: function() {
+                return `Starting ${this.brand} ${this.model}`;
+            }
+        }
+    });
+    
+    assertEqual(Vehicle.vibeType, 'PROTOTYPE', 'Should be detected as PROTOTYPE');
+    
+    const car = TrinityVibe.instantiate(Vehicle, {
+        brand: 'Toyota',
+        model: 'Camry'
+    });
+    
+    assertEqual(car.vibeType, 'PROTOTYPE_INSTANCE', 'Should be prototype instance');
+    
+    const result = TrinityVibe.callMethod(car, 'start');
+    assertEqual(result.out, 'Starting Toyota Camry', 'Method should work correctly');
+    assertEqual(result.instance, car, 'Read-only methods should not create a version');
+});
+
+// Test 6: Capability System
+test('Capability System', () => {
+    const readOnlyToken = new TrinityVibe.VibeToken(0b0001); // Only read permission
+    const symbol = TrinityVibe.createVibeSymbol({ value: 'test' }, new Set([readOnlyToken]));
+    
+    // Should block transformation due to lack of write permission
+    const blocked = TrinityVibe.vibeTransform(symbol, {
+        operation: () => ({ value: 'modified' })
+    });
+    
+    assertEqual(blocked.hash, symbol.hash, 'Transformation should be blocked');
+    assertEqual(blocked.value.value, 'test', 'Value should remain unchanged');
+});
+
+// Test 7: Tape Operations
+test('Tape Operations', () => {
+    const original = TrinityVibe.createVibeSymbol({ data: 'original' });
+    const transformed = TrinityVibe.vibeTransform(original, {
+        operation: (data) => ({ data: 'transformed' })
+    });
+    
+    assert(transformed.tapeOperations.length > 0, 'Should have tape operations recorded');
+    assert(transformed.transformationMetadata.operation, 'Should have transformation metadata');
+});
+
+// Test 8: Homoiconicity
+test('Homoiconicity', () => {
+    const fn = function testFunction(x) { return x * 2; };
+    const symbol = TrinityVibe.createVibeSymbol(fn);
+    
+    assert(symbol.structure, 'Should have structural representation');
+    assert(symbol.sourceCode, 'Should have source code representation');
+    assertEqual(symbol.structure.type, 'function', 'Should detect function type');
+    assert(symbol.sourceCode.includes('createVibeSymbol'), 'Source code should be homoiconic');
+});
+
+// Test 9: Vibe Space Management
+test('Vibe Space Management', () => {
+    const initialSize = TrinityVibe.getVibeSpace().size;
+    const symbol1 = TrinityVibe.createVibeSymbol('test1');
+    const symbol2 = TrinityVibe.createVibeSymbol('test2');
+    
+    const newSize = TrinityVibe.getVibeSpace().size;
+    assert(newSize >= initialSize + 2, 'Vibe space should grow with new symbols');
+    
+    assert(TrinityVibe.getVibeSpace().has(symbol1.hash), 'Symbol1 should be in vibe space');
+    assert(TrinityVibe.getVibeSpace().has(symbol2.hash), 'Symbol2 should be in vibe space');
+});
+
+// Test 10: Temporal Coordinates
+test('Temporal Coordinates', () => {
+    const coord1 = TrinityVibe.getTemporalCoord();
+    const symbol = TrinityVibe.createVibeSymbol('test');
+    const coord2 = TrinityVibe.getTemporalCoord();
+    
+    assert(coord2 > coord1, 'Temporal coordinate should advance');
+    assert(symbol.coord <= coord2, 'Symbol coordinate should be within range');
+});
+
+// Test 11: Function Vibes (IDE style transforms)
+test('Function Vibes', () => {
+    const doubleFn = TrinityVibe.createVibeFunction(x => x * 2, { description: 'double' });
+    const s1 = TrinityVibe.createVibeSymbol(3);
+    const s2 = TrinityVibe.vibeTransform(s1, doubleFn);
+    
+    assertEqual(s2.value, 6, 'Function vibe should transform value');
+    assertEqual(s2.parentHash, s1.hash, 'Function vibe transform should keep provenance');
+    assertEqual(s2.tapeOperations.length, s1.tapeOperations.length + 1, 'Should record one tape operation');
+    assertEqual(TrinityVibe.vibeRevert(s2, 1).value, 3, 'Function vibe transform should revert');
+    
+    const noExec = TrinityVibe.createVibeSymbol(x => x, new Set([new TrinityVibe.VibeToken(0b0011)]));
+    let threw = false;
+    try { TrinityVibe.vibeTransform(s1, noExec); } catch (e) { threw = true; }
+    assert(threw, 'Function vibe without EXECUTE should be rejected');
+});
+
+// Test 12: Pure-Step Actors (IDE style)
+test('Pure-Step Actors', () => {
+    const counter = TrinityVibe.createVibeActor({
+        inc: (state) => ({ state: { n: state.n + 1 }, out: state.n + 1 }),
+        add: (state, message, x) => ({ state: { n: state.n + x }, out: [message, x] }),
+        peek: (state) => ({ out: state.n }),
+        default: (state, message) => ({ out: `unknown: ${message}` })
+    }, { n: 0 });
+    
+    assertEqual(counter.vibeType, 'ACTOR', 'Handler table should create an ACTOR');
+    assertEqual(TrinityVibe.sendMessage(counter, 'peek').out, 0, 'Handlers should receive state');
+    assertEqual(TrinityVibe.sendMessage(counter, 'other').out, 'unknown: other', 'Default handler should receive message');
+    assertEqual(TrinityVibe.sendMessage(counter, 'peek').actor, counter, 'Reading messages should keep the actor');
+    
+    const sent = TrinityVibe.sendMessage(counter, 'add', 5);
+    assertEqual(JSON.stringify(sent.out), '["add",5]', 'sendMessage should pass the message like stepActor');
+    assertEqual(sent.actor.value.state.n, 5, 'sendMessage should unpack the next state');
+    assertEqual(sent.actor.parentHash, counter.hash, 'A changed state should be a new version');
+    assertEqual(counter.value.state.n, 0, 'sendMessage should not touch the previous actor');
+    
+    const { actor: next, out } = TrinityVibe.stepActor(counter, 'inc');
+    assertEqual(out, 1, 'stepActor should return handler output');
+    assertEqual(next.value.state.n, 1, 'stepActor should produce next state');
+    assertEqual(counter.value.state.n, 0, 'stepActor should not touch the previous actor');
+    assertEqual(TrinityVibe.vibeRevert(next, 1).hash, counter.hash, 'Actor steps should be revertible');
+});
+
+// Test 13: stepActor on Library-Style Actors
+test('stepActor on Library-Style Actors', () => {
+    const counter = TrinityVibe.createVibeActor('StepCounter', {
+        state: { count: 0 },
+        handlers: {
+            increment: function() {
+                this.state.count++;
+                return this.state.count;
+            }
+        }
+    });
+    
+    const { actor: next, out } = TrinityVibe.stepActor(counter, 'increment');
+    assertEqual(out, 1, 'Handler output should be returned');
+    assertEqual(next.value.state.count, 1, 'Next actor should carry new state');
+    assertEqual(counter.value.state.count, 0, 'Original actor state should be untouched');
+});
+
+// Test 14: Template Prototypes with Inheritance (IDE style)
+test('Template Prototypes with Inheritance', () => {
+    const parentProto = TrinityVibe.createVibePrototype(p => ({ x: p.x || 0 }), {
+        getX: inst => ({ out: inst.value.state.x })
+    });
+    const childProto = TrinityVibe.createVibePrototype(p => ({ ...p }), {
+        setX: (inst, x) => ({
+            instance: TrinityVibe.createVibeSymbol({ kind: 'INSTANCE', proto: inst.value.proto, state: { ...inst.value.state, x } })
+        })
+    }, parentProto);
+    
+    assertEqual(childProto.vibeType, 'PROTOTYPE', 'Template prototype should be a PROTOTYPE');
+    const inst = TrinityVibe.instantiate(childProto, { x: 1 });
+    assertEqual(TrinityVibe.callMethod(inst, 'getX').out, 1, 'Inherited method should resolve through parent');
+    
+    const set = TrinityVibe.callMethod(inst, 'setX', 5);
+    assertEqual(TrinityVibe.callMethod(set.instance, 'getX').out, 5, 'Method should return next instance');
+    assert(TrinityVibe.resolveMethod(childProto.hash, 'getX'), 'resolveMethod should walk the parent chain');
+});
+
+// Test 15: Token Bitmask Checks
+test('Token Bitmask Checks', () => {
+    const token = new TrinityVibe.VibeToken(0b0101); // read + execute
+    assert(token.allows(0b0001), 'Should allow read');
+    assert(token.allows(0b0101), 'Should allow read + execute');
+    assert(!token.allows(0b0011), 'Should not allow read + write');
+    
+    const symbol = TrinityVibe.createVibeSymbol('x', new Set([token]));
+    assert(symbol.canPerform(4), 'Symbol should be able to execute');
+    assert(!symbol.canPerform(2), 'Symbol should not be able to write');
+});
+
+// Test 16: SHA-256 Content Hashing
+test('SHA-256 Content Hashing', () => {
+    assertEqual(TrinityVibe.sha256('abc'),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'Should match the SHA-256 test vector');
+    assertEqual(TrinityVibe.computeContentHash({ a: 1, b: [2, 3] }),
+        TrinityVibe.computeContentHash({ b: [2, 3], a: 1 }), 'Key order should not affect content hash');
+    assert(TrinityVibe.computeContentHash(x => x + 1) !== TrinityVibe.computeContentHash(x => x + 2),
+        'Functions should hash by source');
+    assert(TrinityVibe.computeContentHash({ f: undefined }) !== TrinityVibe.computeContentHash({}),
+        'Undefined fields should not collapse');
+});
+
+// Test 17: Canonical Serialization of Maps, Sets, Symbols and Cycles
+test('Canonical Serialization of Maps, Sets, Symbols and Cycles', () => {
+    const m1 = new Map([['a', 1], ['b', 2]]);
+    const m2 = new Map([['b', 2], ['a', 1]]);
+    assertEqual(TrinityVibe.canonicalize(m1), TrinityVibe.canonicalize(m2), 'Map insertion order should not matter');
+    assertEqual(TrinityVibe.canonicalize(new Set([3, 1])), TrinityVibe.canonicalize(new Set([1, 3])), 'Sets should be sorted');
+    assert(TrinityVibe.canonicalize(new Set([1])) !== TrinityVibe.canonicalize(new Set([2])), 'Set contents should matter');
+    
+    const inner = TrinityVibe.createVibeSymbol({ n: 1 });
+    assert(TrinityVibe.canonicalize({ child: inner }).includes(inner.contentHash), 'Nested symbols should hash by content');
+    
+    const cyclic = { name: 'loop' };
+    cyclic.self = cyclic;
+    const symbol = TrinityVibe.createVibeSymbol(cyclic);
+    assert(symbol.contentHash, 'Cyclic values should be hashable');
+});
+
+// Test 18: Distinct Identity for Equal Values
+test('Distinct Identity for Equal Values', () => {
+    const a = TrinityVibe.createVibeSymbol({ same: true });
+    const b = TrinityVibe.createVibeSymbol({ same: true });
+    assertEqual(a.contentHash, b.contentHash, 'Equal values should share a content hash');
+    assert(a.hash !== b.hash, 'Equal values at different coords should have distinct identities');
+    assertEqual(TrinityVibe.getVibeSpace().get(a.hash), a, 'First symbol should not be overwritten');
+    
+    const versions = TrinityVibe.findByContentHash(a.contentHash);
+    assert(versions.includes(a) && versions.includes(b), 'Content lookup should find every version');
+    
+    const fnA = TrinityVibe.createVibeSymbol(function one() { return 1; });
+    const fnB = TrinityVibe.createVibeSymbol(function two() { return 2; });
+    assert(fnA.contentHash !== fnB.contentHash, 'Function symbols should not hash alike');
+});
+
+// Test 19: Collision Safety and Hash Verification
+test('Collision Safety and Hash Verification', () => {
+    const value = { guarded: 1 };
+    const nextHash = TrinityVibe.vibeHash(TrinityVibe.computeContentHash(value), TrinityVibe.getTemporalCoord());
+    const space = TrinityVibe.getVibeSpace();
+    const squatter = { coord: -1 };
+    space.set(nextHash, squatter);
+    
+    let threw = false;
+    try { TrinityVibe.createVibeSymbol(value); } catch (e) { threw = true; }
+    assert(threw, 'Hash collisions should throw instead of replacing symbols');
+    assertEqual(space.get(nextHash), squatter, 'Existing entry should be kept');
+    space.delete(nextHash);
+    
+    const symbol = TrinityVibe.createVibeSymbol({ count: 0 });
+    assert(symbol.verifyContentHash(), 'Fresh symbol should verify');
+    symbol.value.count = 1;
+    assert(!symbol.verifyContentHash(), 'In-place mutation should be detected');
+});
+
+// Test 20: Deep Structural Diff
+test('Deep Structural Diff', () => {
+    const before = { config: { db: { port: 5432 }, tags: ['a', 'b', 'c'] }, drop: true };
+    const after = { config: { db: { port: 6543 }, tags: ['c', 'a', 'b', 'd'] }, added: 1 };
+    const patch = TrinityVibe.diffValues(before, after);
+    
+    const ops = patch.map(op => `${op.op} ${op.from ? op.from + '>' : ''}${op.path}`);
+    assert(ops.includes('replace /config/db/port'), 'Nested changes should have deep paths');
+    assert(ops.includes('remove /drop') && ops.includes('add /added'), 'Top-level keys should be added/removed');
+    assert(patch.some(op => op.op === 'move'), 'Reordered array elements should become moves');
+    assert(!patch.some(op => op.op === 'replace' && op.path === '/config/tags'), 'Arrays should not be replaced wholesale');
+    
+    assertEqual(JSON.stringify(TrinityVibe.applyPatch(before, patch)), JSON.stringify(after), 'applyPatch should reach the new value');
+    assertEqual(JSON.stringify(TrinityVibe.applyPatch(after, TrinityVibe.invertPatch(patch))), JSON.stringify(before),
+        'invertPatch should lead back to the old value');
+    assertEqual(before.config.db.port, 5432, 'applyPatch should not mutate its input');
+});
+
+// Test 21: Structural Diff Recorded on Transform
+test('Structural Diff Recorded on Transform', () => {
+    const original = TrinityVibe.createVibeSymbol({ users: [{ name: 'Alice' }, { name: 'Bob' }] });
+    const transformed = TrinityVibe.vibeTransform(original, {
+        operation: (data) => ({ users: data.users.map(user => ({ ...user, active: true })) })
+    });
+    
+    const diff = transformed.transformationMetadata.structuralDiff;
+    assertEqual(diff.additions.join(','), '/users/0/active,/users/1/active', 'Diff should see into array elements');
+    
+    const reverted = transformed.executeStructuralRevert();
+    assertEqual(JSON.stringify(reverted.value), JSON.stringify(original.value), 'Structural revert should undo nested changes');
+    
+    const modified = original.modifySelf(data => { data.users.pop(); return data; });
+    assertEqual(original.value.users.length, 2, 'modifySelf should leave the symbol unchanged');
+    assert(original.verifyContentHash() && modified.verifyContentHash(), 'Both versions should verify');
+    assertEqual(modified.parentHash, original.hash, 'modifySelf should derive a new version');
+    assertEqual(modified.tapeOperations[modified.tapeOperations.length - 1].data.output, modified.hash, 'The modify entry should name the new version');
+    assertEqual(modified.transformationMetadata.structuralDiff.removals[0].path, '/users/1', 'modifySelf should record its diff');
+});
+
+// Test 22: Revert Reconstructs Ancestors from Patches
+test('Revert Reconstructs Ancestors from Patches', () => {
+    const v0 = TrinityVibe.createVibeSymbol({ items: [1, 2], meta: { version: 0 } });
+    const v1 = TrinityVibe.vibeTransform(v0, { operation: (d) => ({ ...d, items: [...d.items, 3], meta: { version: 1 } }) });
+    const v2 = TrinityVibe.vibeTransform(v1, { operation: (d) => ({ items: d.items.slice(1), meta: { version: 2 } }) });
+    
+    const space = TrinityVibe.getVibeSpace();
+    space.delete(v0.hash);
+    space.delete(v1.hash);
+    
+    const r1 = TrinityVibe.vibeRevert(v2, 1);
+    assertEqual(r1.hash, v1.hash, 'Rebuilt parent should keep its original identity');
+    assertEqual(JSON.stringify(r1.value), JSON.stringify(v1.value), 'Rebuilt parent should have its original value');
+    
+    space.delete(v1.hash);
+    const r2 = TrinityVibe.vibeRevert(v2, 2);
+    assertEqual(r2.hash, v0.hash, 'Multi-step revert should rebuild the root');
+    assertEqual(JSON.stringify(r2.value), JSON.stringify(v0.value), 'Root value should be reconstructed');
+    assert(!r2.parentHash, 'Rebuilt root should have no parent');
+});
+
+// Test 23: Tape Machine Executes and Rewinds
+test('Tape Machine Executes and Rewinds', () => {
+    const { TapeMachine, TapeOperation } = TrinityVibe;
+    const machine = new TapeMachine().run([
+        new TapeOperation('write', 'A'),
+        new TapeOperation('mark', 'start'),
+        new TapeOperation('move', 3),
+        new TapeOperation('write', 'B'),
+        new TapeOperation('jump', 'start')
+    ]);
+    assertEqual(machine.head, 0, 'Jump should return the head to the mark');
+    assertEqual(machine.read(3), 'B', 'Write should fill the cell under the head');
+
+    machine.rewind(2);
+    assertEqual(machine.head, 3, 'Rewinding a jump should restore the head');
+    assertEqual(machine.read(), undefined, 'Rewinding a write should restore the previous cell');
+
+    const write = new TapeOperation('write', { op: 'replace', path: '/n', value: 2, oldValue: 1 });
+    assertEqual(write.previousValue, 1, 'Writes should know the value they replace');
+    assertEqual(write.inverse.data.value, 1, 'Write inverse should restore the previous value');
+});
+
+// Test 24: Replay Reproduces Values from Tapes
+test('Replay Reproduces Values from Tapes', () => {
+    const original = TrinityVibe.createVibeSymbol({ n: 1, list: [1, 2, 3] });
+    const v1 = TrinityVibe.vibeTransform(original, { operation: (d) => ({ ...d, n: 2, list: [3, 1, 2, 4] }) });
+    const v2 = TrinityVibe.vibeTransform(v1, { operation: 'merge', data: { done: true } });
+
+    const transition = v2.tapeOperations[v2.tapeOperations.length - 1];
+    assertEqual(transition.type, 'transform', 'Transforms should record one transition');
+    assertEqual(transition.operations[0].data.path, '/done', 'Transition should hold the concrete writes');
+    assertEqual(JSON.stringify(TrinityVibe.replayTape(v2)), JSON.stringify(v2.value), 'Replay should reproduce the value');
+
+    const tape = TrinityVibe.deserializeTape(JSON.parse(JSON.stringify(TrinityVibe.serializeTape(v2.tapeOperations))));
+    const machine = TrinityVibe.runTape(tape);
+    assertEqual(JSON.stringify(machine.read(0)), JSON.stringify(v2.value), 'Serialized tapes should replay');
+    machine.rewind(2);
+    assertEqual(JSON.stringify(machine.read(0)), JSON.stringify(original.value), 'Rewind should execute inverses');
+});
+
+// Test 25: Revert With Tape Executes Inverses
+test('Revert With Tape Executes Inverses', () => {
+    const v0 = TrinityVibe.createVibeSymbol({ step: 0 });
+    const v1 = TrinityVibe.vibeTransform(v0, { operation: 'set', value: { step: 1 } });
+    const v2 = TrinityVibe.vibeTransform(v1, { operation: 'set', value: { step: 2, extra: [1] } });
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    let reverted;
+    try {
+        reverted = TrinityVibe.vibeRevertWithTape(v2, 2);
+    } finally {
+        console.warn = warn;
+    }
+    assertEqual(reverted.hash, v0.hash, 'Tape revert should arrive at the ancestor');
+    assertEqual(warnings.length, 0, 'Rewound tape should match each ancestor');
+});
+
+// Test 26: Persistence Restores Lineage
+testAsync('Persistence Restores Lineage', async () => {
+    const storage = new TrinityVibe.MemoryStorageAdapter();
+    const v0 = TrinityVibe.createVibeSymbol({ users: ['alice'] }, new Set([new TrinityVibe.VibeToken(0b0111)]));
+    const v1 = TrinityVibe.vibeTransform(v0, { operation: (d) => ({ users: [...d.users, 'bob'] }) });
+    const v2 = TrinityVibe.vibeTransform(v1, { operation: 'merge', data: { admin: 'alice' } });
+    
+    await TrinityVibe.persistSpace(storage);
+    TrinityVibe.clearVibeSpace();
+    await TrinityVibe.restoreSpace(storage);
+    
+    const restored = TrinityVibe.getVibeSpace().get(v2.hash);
+    assert(restored, 'Restored space should contain the latest version');
+    assertEqual(restored.parentHash, v1.hash, 'parentHash should survive a restart');
+    assertEqual(Array.from(restored.capabilities)[0].permissions, 0b0111, 'Capabilities should survive a restart');
+    assertEqual(restored.transformationMetadata.structuralDiff.additions[0], '/admin', 'Structural diff should survive a restart');
+    assertEqual(TrinityVibe.vibeRevert(restored, 2).hash, v0.hash, 'vibeRevert should work after a restart');
+    assertEqual(JSON.stringify(TrinityVibe.replayTape(restored)), JSON.stringify(v2.value), 'Tapes should survive a restart');
+    
+    const next = TrinityVibe.createVibeSymbol('after restart');
+    assert(next.coord > v2.coord, 'New symbols should not reuse restored coordinates');
+});
+
+// Test 27: Incremental Saves
+testAsync('Incremental Saves', async () => {
+    const storage = new TrinityVibe.MemoryStorageAdapter();
+    assert(await TrinityVibe.persistSpace(storage) > 0, 'First save should write the space');
+    assertEqual(await TrinityVibe.persistSpace(storage), 0, 'Unchanged space should write nothing');
+    
+    const attached = TrinityVibe.attachStorage(storage);
+    const before = storage.log.length;
+    const a = TrinityVibe.createVibeSymbol({ n: 1 });
+    const b = TrinityVibe.vibeTransform(a, { operation: 'set', value: { n: 2 } });
+    await attached.flush();
+    attached.detach();
+    
+    assertEqual(storage.log.length, before + 2, 'Each new symbol should be appended once');
+    assertEqual(JSON.parse(storage.log[storage.log.length - 1]).parentHash, a.hash, 'Appended records should carry lineage');
+    TrinityVibe.createVibeSymbol('not persisted');
+    await Promise.resolve();
+    assertEqual(storage.log.length, before + 2, 'Detached storage should stop receiving symbols');
+    assert(b.hash, 'Transform result should exist');
+});
+
+// Test 28: File Storage Append-Only Log
+testAsync('File Storage Append-Only Log', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const file = path.join(require('os').tmpdir(), `trinity-vibe-test-${process.pid}.jsonl`);
+    const storage = new TrinityVibe.FileStorageAdapter(file);
+    
+    try {
+        TrinityVibe.clearVibeSpace();
+        const v0 = TrinityVibe.createVibeSymbol({ step: 0 });
+        await TrinityVibe.persistSpace(storage);
+        const v1 = TrinityVibe.vibeTransform(v0, { operation: 'set', value: { step: 1 } });
+        await TrinityVibe.persistSpace(storage);
+        fs.appendFileSync(file, '{"hash": "torn');
+        
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assertEqual(await TrinityVibe.restoreSpace(storage), 2, 'Log should restore both versions');
+        } finally {
+            console.warn = warn;
+        }
+        const restored = TrinityVibe.getVibeSpace().get(v1.hash);
+        assertEqual(TrinityVibe.vibeRevert(restored, 1).value.step, 0, 'Restored lineage should revert');
+        
+        assertEqual(await storage.compact(), 2, 'Compaction should keep one record per hash');
+        assertEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2, 'Compacted log should drop the torn line');
+    } finally {
+        await storage.clear();
+    }
+});
+
+// Test 29: Functions Survive Save and Load
+testAsync('Functions Survive Save and Load', async () => {
+    const storage = new TrinityVibe.MemoryStorageAdapter();
+    const counter = TrinityVibe.createVibeActor('Counter', {
+        state: { count: 0 },
+        handlers: {
+            increment() { this.state.count++; return this.state.count; },
+            add: TrinityVibe.declareRequires(function (n) { this.state.count += n * step; return this.state.count; }, { step: 10 }),
+            greet: TrinityVibe.declareRequires(() => `${greeting}!`, ['greeting']),
+            max: Math.max
+        }
+    });
+    const Point = TrinityVibe.createVibePrototype({ x: 0 }, {
+        getX: (self) => ({ instance: self, out: self.value.state.x })
+    });
+    const double = TrinityVibe.createVibeFunction(x => x * 2);
+    const tagged = TrinityVibe.createVibeSymbol({ $vibe: 'not a marker', list: [1] });
+    
+    await TrinityVibe.persistSpace(storage);
+    TrinityVibe.clearVibeSpace();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await TrinityVibe.restoreSpace(storage, { scope: { greeting: 'hello' } });
+    } finally {
+        console.warn = warn;
+    }
+    
+    const space = TrinityVibe.getVibeSpace();
+    const restored = space.get(counter.hash);
+    const incremented = TrinityVibe.sendMessage(restored, 'increment');
+    assertEqual(incremented.out, 1, 'Method shorthand handlers should be restored');
+    assertEqual(TrinityVibe.sendMessage(incremented.actor, 'add', 2).out, 21, 'Stored bindings should be restored');
+    assertEqual(TrinityVibe.sendMessage(restored, 'greet').out, 'hello!', 'Requirements should come from the restore scope');
+    assertEqual(restored.restoreIssues.length, 1, 'Native functions should be reported');
+    assertEqual(restored.restoreIssues[0].path, '/handlers/max', 'Issues should name the function path');
+    
+    const point = TrinityVibe.instantiate(space.get(Point.hash), { x: 7 });
+    assertEqual(TrinityVibe.callMethod(point, 'getX').out, 7, 'Prototype methods should be restored');
+    assertEqual(TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol(4), space.get(double.hash)).value, 8, 'Function vibes should be restored');
+    assert(space.get(double.hash).verifyContentHash(), 'Restored functions should hash like the originals');
+    assertEqual(space.get(tagged.hash).value.$vibe, 'not a marker', 'Plain $vibe keys should round-trip');
+});
+
+// Test 30: Actor Mailboxes with send and ask
+testAsync('Actor Mailboxes with send and ask', async () => {
+    const scheduler = new TrinityVibe.VibeScheduler();
+    const ref = scheduler.spawn(TrinityVibe.createVibeActor('Counter', {
+        state: { count: 0 },
+        handlers: {
+            increment() { this.state.count++; return this.state.count; },
+            fail() { throw new Error('handler failed'); }
+        }
+    }));
+    const first = ref.current;
+    
+    assert(ref.send('increment'), 'send should accept the message');
+    assertEqual(ref.state.count, 0, 'send should not run the handler synchronously');
+    assertEqual(await ref.ask('increment'), 2, 'ask should resolve after earlier messages, in order');
+    
+    let error = null;
+    await ref.ask('fail').catch(e => { error = e; });
+    assertEqual(error && error.message, 'handler failed', 'ask should reject with handler errors');
+    assertEqual(ref.state.count, 2, 'A failed message should keep the last good state');
+    
+    assertEqual(ref.current.history.length, 2, 'Each delivered message should create a version');
+    assertEqual(ref.current.tapeOperations[ref.current.tapeOperations.length - 1].type, 'step', 'Deliveries should be taped');
+    assertEqual(TrinityVibe.vibeRevert(ref.current, 2).hash, first.hash, 'Message steps should be reversible');
+});
+
+// Test 31: Scheduler Fairness and Back-Pressure
+testAsync('Scheduler Fairness and Back-Pressure', async () => {
+    const order = [];
+    const scheduler = new TrinityVibe.VibeScheduler({ mailboxLimit: 3 });
+    const spawnLogger = (name) => scheduler.spawn(TrinityVibe.createVibeActor(name, {
+        state: {},
+        handlers: { log(n) { order.push(`${name}${n}`); } }
+    }));
+    const a = spawnLogger('A');
+    const b = spawnLogger('B');
+    
+    [1, 2, 3].forEach(n => a.send('log', n));
+    assertEqual(a.send('log', 4), false, 'A full mailbox should refuse messages');
+    let refused = null;
+    await a.ask('log', 5).catch(e => { refused = e; });
+    assertEqual(refused && refused.code, 'MAILBOX_FULL', 'ask on a full mailbox should reject');
+    
+    [1, 2].forEach(n => b.send('log', n));
+    await scheduler.drain();
+    assertEqual(order.join(' '), 'A1 B1 A2 B2 A3', 'Actors should take turns');
+});
+
+// Helper for supervision tests: an account that fails audits once its balance is negative
+function createAccount(name) {
+    return TrinityVibe.createVibeActor(name, {
+        state: { balance: 10 },
+        handlers: {
+            withdraw(amount) { this.state.balance -= amount; return this.state.balance; },
+            audit() {
+                if (this.state.balance < 0) throw new Error(`${name} is overdrawn`);
+                return 'ok';
+            }
+        }
+    });
+}
+
+// Test 32: Supervisors Restart from the Last Good State
+testAsync('Supervisors Restart from the Last Good State', async () => {
+    const scheduler = new TrinityVibe.VibeScheduler();
+    const supervisor = new TrinityVibe.VibeSupervisor(scheduler, {
+        strategy: 'rest-for-one',
+        validate: (state) => state.balance >= 0
+    });
+    const a = supervisor.spawn(createAccount('A'));
+    const b = supervisor.spawn(createAccount('B'));
+    const c = supervisor.spawn(createAccount('C'), { restartFrom: 'initial' });
+    
+    a.send('withdraw', 3);
+    c.send('withdraw', 5);
+    b.send('withdraw', 1);
+    b.send('withdraw', 20);
+    b.send('audit');
+    await scheduler.drain();
+    
+    assertEqual(b.state.balance, 9, 'Failed actor should be reverted to its last valid version');
+    assertEqual(c.state.balance, 10, "rest-for-one should restart later children ('initial' here)");
+    assertEqual(a.state.balance, 7, 'Earlier children should be left alone');
+    assertEqual(supervisor.log.filter(entry => entry.type === 'restart').map(entry => entry.child).join(','), 'B,C',
+        'Supervisor should log the restarts');
+    assertEqual(await b.ask('audit'), 'ok', 'Restarted actor should keep serving messages');
+});
+
+// Test 33: Restart Limits Escalate Up the Tree
+testAsync('Restart Limits Escalate Up the Tree', async () => {
+    const scheduler = new TrinityVibe.VibeScheduler();
+    const escalations = [];
+    const root = new TrinityVibe.VibeSupervisor(scheduler, {
+        name: 'root',
+        maxRestarts: 0,
+        onEscalate: (error) => escalations.push(error.message)
+    });
+    const group = root.spawnSupervisor({ name: 'group', strategy: 'one-for-all', maxRestarts: 2 });
+    const a = group.spawn(createAccount('A'));
+    const b = group.spawn(createAccount('B'), { restartFrom: 'initial' });
+    
+    b.send('withdraw', 4);
+    for (let i = 0; i < 3; i++) {
+        a.send('withdraw', 100);
+        a.send('audit');
+        await scheduler.drain();
+    }
+    
+    assertEqual(group.log.filter(entry => entry.type === 'restart').length, 4, 'one-for-all should restart both children twice');
+    assertEqual(b.state.balance, 10, 'Siblings should restart too');
+    assert(group.log.some(entry => entry.type === 'escalate'), 'Third failure in the window should escalate');
+    assertEqual(escalations.join(), 'A is overdrawn', 'Root without budget should escalate to onEscalate');
+    assert(a.stopped && b.stopped, 'Escalation should stop the subtree');
+    
+    let refused = null;
+    await a.ask('audit').catch(e => { refused = e; });
+    assertEqual(refused && refused.code, 'ACTOR_STOPPED', 'Stopped actors should refuse messages');
+});
+
+// Test 34: Prototype Inheritance, Mixins and Super Calls
+test('Prototype Inheritance, Mixins and Super Calls', () => {
+    const Vehicle = TrinityVibe.createVibePrototype('Vehicle', {
+        properties: { wheels: 4, log: [] },
+        methods: {
+            start: function() { return `${this.brand} starting`; },
+            describe: function() { return `${this.brand} on ${this.wheels} wheels`; }
+        }
+    });
+    const Tracked = TrinityVibe.createVibePrototype('Tracked', {
+        methods: {
+            start: function() {
+                this.log.push('start');
+                return TrinityVibe.callSuper(this, 'start');
+            }
+        }
+    });
+    const Car = TrinityVibe.createVibePrototype('Car', {
+        extends: Vehicle,
+        mixins: [Tracked],
+        properties: { doors: 4 },
+        methods: {
+            start: function() { return `${TrinityVibe.callSuper(this, 'start')} (car)`; }
+        }
+    });
+    const SportsCar = TrinityVibe.createVibePrototype('SportsCar', {
+        extends: Car,
+        properties: { doors: 2 },
+        methods: {
+            start: function() { return `${TrinityVibe.callSuper(this, 'start')} fast`; }
+        }
+    });
+    
+    const racer = TrinityVibe.instantiate(SportsCar, { brand: 'Zonda' });
+    assertEqual(racer.value.wheels, 4, 'Properties should be inherited from the root prototype');
+    assertEqual(racer.value.doors, 2, 'Nearer prototypes should override properties');
+    assert(!('__methods__' in racer.value), 'Methods should stay on the prototypes');
+    assertEqual(TrinityVibe.callMethod(racer, 'describe').out, 'Zonda on 4 wheels', 'Lookup should delegate up the chain');
+    const started = TrinityVibe.callMethod(racer, 'start');
+    assertEqual(started.out, 'Zonda starting (car) fast', 'Super calls should run each level once');
+    assertEqual(started.instance.value.log.join(), 'start', 'Mixins should sit between a prototype and its parent');
+    assertEqual(TrinityVibe.resolveMethod(Car.hash, 'start').proto.hash, Car.hash, 'Own methods should override mixins');
+    assertEqual(TrinityVibe.prototypeChain(SportsCar.hash).map(p => p.value.name).join(), 'SportsCar,Car,Tracked,Vehicle', 'Chain order');
+    
+    const plain = TrinityVibe.instantiate(Vehicle, { brand: 'Model T' });
+    assertEqual(plain.value.log.length, 0, 'Instances should not share inherited property objects');
+    assert(TrinityVibe.instanceOf(racer, Vehicle) && TrinityVibe.instanceOf(racer, Tracked), 'instanceOf should follow parents and mixins');
+    assert(!TrinityVibe.instanceOf(plain, Car), 'A parent instance is not an instance of its child');
+    
+    const shape = TrinityVibe.createVibePrototype(p => ({ ...p }), {
+        area: () => ({ out: 0 }),
+        describe: inst => ({ out: `area ${TrinityVibe.callMethod(inst, 'area').out}` })
+    });
+    const square = TrinityVibe.createVibePrototype(p => ({ ...p }), {
+        area: inst => ({ out: inst.value.state.side ** 2 }),
+        describe: inst => ({ out: `square, ${TrinityVibe.callSuper(inst, 'describe').out}` })
+    }, shape);
+    const sq = TrinityVibe.instantiate(square, { side: 3 });
+    assertEqual(TrinityVibe.callMethod(sq, 'describe').out, 'square, area 9', 'Template super calls should dispatch overrides');
+    assert(TrinityVibe.instanceOf(sq, shape), 'instanceOf should work for template instances');
+});
+
+// Test 35: Method Calls Return New Versions
+test('Method Calls Return New Versions', () => {
+    const Ledger = TrinityVibe.createVibePrototype('Ledger', {
+        properties: { entries: [] },
+        methods: {
+            add: function(amount) {
+                this.entries.push(amount);
+                return this.entries.length;
+            },
+            total: function() { return this.entries.reduce((a, b) => a + b, 0); }
+        }
+    });
+    const empty = TrinityVibe.instantiate(Ledger);
+    const { instance: one, out } = TrinityVibe.callMethod(empty, 'add', 5);
+    const two = TrinityVibe.callMethod(one, 'add', 7).instance;
+    
+    assertEqual(out, 1, 'Method output should be returned');
+    assertEqual(empty.value.entries.length, 0, 'The called instance should not be mutated');
+    assertEqual(TrinityVibe.callMethod(two, 'total').out, 12, 'Calls should chain through versions');
+    assertEqual(two.parentHash, one.hash, 'New versions should link to their parent');
+    assertEqual(two.contentHash, TrinityVibe.createVibeSymbol(two.value).contentHash, 'Hashes should match content');
+    assertEqual(two.tapeOperations.length, empty.tapeOperations.length + 2, 'Each call should record a tape entry');
+    assert(two.tapeOperations[two.tapeOperations.length - 1].toCode().startsWith('(call (write add "/entries/1" 7'), 'Tape should hold the diff');
+    assertEqual(TrinityVibe.vibeRevert(two, 2), empty, 'Old versions should stay revertible');
+    assertEqual(TrinityVibe.replayTape(two).entries.join(), '5,7', 'Replay should rebuild the latest version');
+    
+    const counter = TrinityVibe.createVibePrototype(p => ({ n: p.n || 0 }), {
+        inc: inst => ({ instance: TrinityVibe.createVibeSymbol({ ...inst.value, state: { n: inst.value.state.n + 1 } }) })
+    });
+    const c0 = TrinityVibe.instantiate(counter);
+    const c1 = TrinityVibe.callMethod(c0, 'inc').instance;
+    assertEqual(c1.parentHash, c0.hash, 'Template results should be linked to the called instance');
+    assertEqual(c1.vibeType, 'PROTOTYPE_INSTANCE', 'Template results should stay instances');
+});
+
+// Test 36: Object-Capability Tokens
+test('Object-Capability Tokens', () => {
+    TrinityVibe.clearCapabilityAudit();
+    const owner = new TrinityVibe.VibeToken(0b1111, null);
+    const doc = TrinityVibe.createVibeSymbol({ title: 'draft' }, new Set([owner]));
+    const edited = TrinityVibe.vibeTransform(doc, { operation: 'merge', data: { title: 'final' } });
+    
+    // Scoped delegation follows the lineage of the scoped symbol only
+    const { token: editor, revoke } = owner.delegate({ remove: 0b1000, scope: [doc] });
+    const shared = TrinityVibe.createVibeSymbol(edited.value, new Set([editor]));
+    assert(editor.covers(edited) && !editor.covers(shared), 'Scope should cover descendants only');
+    assertEqual(TrinityVibe.vibeTransform(shared, { operation: 'set', value: 1 }), shared, 'Out-of-scope tokens should not grant');
+    assert(!editor.can('network') && editor.can('write', edited), 'Delegation should narrow permissions');
+    
+    const { token: reader } = editor.delegate({ remove: 0b0110, caveats: [request => request.entry !== 'replayTape'] });
+    const view = TrinityVibe.vibeTransform(doc, { operation: 'merge', data: { seen: true } });
+    view.capabilities = new Set([reader]);
+    assertEqual(TrinityVibe.vibeRevert(view), doc, 'Delegated read should allow reverting');
+    assertEqual(TrinityVibe.replayTape(view), undefined, 'Caveats should restrict where a token is accepted');
+    revoke();
+    assert(!editor.can('read') && !reader.can('read'), 'Revoking should cascade to further delegations');
+    assert(owner.can('write'), 'Revoking a delegation should not affect its parent');
+    assertEqual(TrinityVibe.serializeSymbol(view).capabilities.length, 0, 'Caveated or revoked tokens should not be saved');
+    const stored = TrinityVibe.serializeSymbol(TrinityVibe.createVibeSymbol(1, new Set([owner.delegate({ scope: [doc] }).token])));
+    assertEqual(stored.capabilities[0].scope.join(), doc.hash, 'Delegated tokens should be saved with their limits');
+    
+    // Unforgeable: look-alike objects and field assignments grant nothing
+    const forged = Object.create(TrinityVibe.VibeToken.prototype, { permissions: { value: 0b1111 } });
+    const readOnly = new TrinityVibe.VibeToken(0b0001, null);
+    try { readOnly.permissions = 0b1111; } catch (e) { /* getter-only in strict mode */ }
+    assertEqual(readOnly.permissions, 0b0001, 'Token grants should not be writable');
+    const locked = TrinityVibe.createVibeSymbol({ n: 1 }, new Set([forged, readOnly]));
+    assertEqual(TrinityVibe.vibeTransform(locked, { operation: 'set', value: 2 }), locked, 'Forged tokens should not grant');
+    
+    // Checks at every entry point
+    const actor = TrinityVibe.createVibeActor({ inc: s => ({ state: { n: s.n + 1 } }) }, { n: 0 });
+    actor.capabilities = new Set([new TrinityVibe.VibeToken(0b0001, null)]);
+    assertEqual(TrinityVibe.sendMessage(actor, 'inc'), null, 'sendMessage should need execute');
+    let denied = null;
+    try { TrinityVibe.stepActor(actor, 'inc'); } catch (e) { denied = e; }
+    assertEqual(denied && denied.code, 'CAPABILITY_DENIED', 'stepActor should throw a capability error');
+    const Box = TrinityVibe.createVibePrototype('Box', { methods: { put: function(x) { this.x = x; } } });
+    const box = TrinityVibe.instantiate(Box);
+    box.capabilities = new Set([owner.delegate({ remove: 0b0010 }).token]);
+    assertEqual(TrinityVibe.callMethod(box, 'put', 1), null, 'Changing an instance should need write');
+    edited.capabilities = new Set([new TrinityVibe.VibeToken(0b0010, null)]);
+    assertEqual(TrinityVibe.vibeRevert(edited), edited, 'vibeRevert should need read');
+    
+    // Expiry by coordinate or wall clock, and the attenuation vibe level
+    assert(new TrinityVibe.VibeToken(0b1111, null, 1, { expiresAt: Date.now() - 1 }).isExpired(), 'Wall-clock expiry');
+    assert(new TrinityVibe.VibeToken(0b1111, 0).isExpired(), 'Coordinate expiry');
+    const weaker = owner.attenuate(0b0010);
+    assertEqual(weaker.vibeLevel, 0.8, 'Attenuation should decay the vibe level, not copy the expiry');
+    assert(!weaker.can('write') && weaker.expiry > 0, 'Attenuation should drop permissions and shorten expiry');
+    
+    const audit = TrinityVibe.getCapabilityAudit({ granted: false });
+    assert(audit.some(entry => entry.entry === 'sendMessage' && entry.reason === 'permission'), 'Denials should be audited');
+    assert(audit.some(entry => entry.reason.includes('forged')), 'Forged tokens should be audited');
+    assert(TrinityVibe.getCapabilityAudit({ granted: true, entry: 'vibeTransform' }).length > 0, 'Grants should be audited');
+});
+
+// Test 37: Sandboxed Transforms, Handlers and Methods
+test('Sandboxed Transforms, Handlers and Methods', () => {
+    const sandbox = TrinityVibe.createSandbox({ maxSteps: 1000, fetch: url => ({ url, status: 200 }) });
+    const expectError = (fn, code) => {
+        try { fn(); } catch (error) { return error.code === code ? error : assert(false, `Expected ${code}, got ${error.message}`); }
+        assert(false, `Expected ${code}`);
+    };
+    
+    const inspect = TrinityVibe.createVibeFunction(() => [typeof process, typeof require, typeof TrinityVibe].join(), { sandbox });
+    assertEqual(TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol(1), inspect).value, 'undefined,undefined,undefined',
+        'Sandboxed functions should not see the host');
+    const spin = TrinityVibe.createVibeFunction(n => { while (n > 0) n++; return n; }, { sandbox });
+    assert(expectError(() => TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol(1), spin), 'SANDBOX_LIMIT'), 'Loops should hit the step limit');
+    const stamp = TrinityVibe.createVibeFunction(v => ({ ...v, at: Date.now(), roll: Math.random() }), { sandbox });
+    assert(expectError(() => sandbox.run(stamp.value, [{}]), 'SANDBOX_ERROR').message.includes('Date'), 'Clock should not be granted by default');
+    const seeded = TrinityVibe.createSandbox({ clock: () => 1000, random: () => 0.25 });
+    assertEqual(JSON.stringify(seeded.run(stamp.value, [{ id: 1 }])), '{"id":1,"at":1000,"roll":0.25}', 'Granted clock and random should be used');
+    
+    // The NETWORK bit of the function's own tokens gates the fetch stub
+    const lookup = TrinityVibe.createVibeFunction(v => fetch(`/users/${v.id}`).status, { sandbox });
+    const user = TrinityVibe.createVibeSymbol({ id: 7 });
+    assertEqual(TrinityVibe.vibeTransform(user, lookup).value, 200, 'Network-capable functions should reach fetch');
+    lookup.capabilities = new Set([new TrinityVibe.VibeToken(0b0111, null)]);
+    assert(expectError(() => TrinityVibe.vibeTransform(user, lookup), 'SANDBOX_ERROR').message.includes('fetch'), 'fetch needs NETWORK');
+    
+    // Actor handlers and prototype methods exchange data with the sandbox
+    const counter = sandbox.bind(TrinityVibe.createVibeActor('SandboxCounter', {
+        state: { count: 0 },
+        handlers: { add: function(n) { this.state.count += n; return this.state.count; } }
+    }));
+    const stepped = TrinityVibe.stepActor(counter, 'add', 5);
+    assertEqual(stepped.out, 5, 'Sandboxed handlers should return output');
+    assertEqual(stepped.actor.value.state.count, 5, 'Sandboxed handlers should update the next version');
+    const Stack = sandbox.bind(TrinityVibe.createVibePrototype('SandboxStack', {
+        properties: { items: [] },
+        methods: { push: function(x) { this.items.push(x); return this.items.length; } }
+    }));
+    const pushed = TrinityVibe.callMethod(TrinityVibe.instantiate(Stack), 'push', 'a');
+    assertEqual(pushed.instance.value.items.join(), 'a', 'Sandboxed methods should produce a new version');
+    
+    // Rewritten source is evaluated in a sandbox too
+    const square = TrinityVibe.createVibeFunction(x => x * x);
+    const cube = square.modifySource(code => code.replace('x * x', 'x * x * x'));
+    assertEqual(TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol(2), cube).value, 8, 'Modified source should run');
+    const escape = square.modifySource(code => code.replace('x * x', 'process.exit(1)'));
+    assert(expectError(() => TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol(2), escape), 'SANDBOX_ERROR'),
+        'Modified source should keep running in the sandbox');
+});
+
+// Test 38: Deterministic Replay
+test('Deterministic Replay', () => {
+    const seeded = () => {
+        const restore = TrinityVibe.useDeterministicMode({ seed: 'replay', start: 1000 });
+        const draws = [TrinityVibe.vibeNow(), TrinityVibe.vibeNow(), TrinityVibe.vibeRandom(), TrinityVibe.createVibeId()];
+        restore();
+        return draws;
+    };
+    const first = seeded();
+    assertEqual(JSON.stringify(first.slice(0, 2)), '[1000,1001]', 'The stepped clock should advance per read');
+    assertEqual(JSON.stringify(seeded()), JSON.stringify(first), 'Seeded mode should repeat ids and draws');
+    
+    // Host clock and randomness are logged, so a replay reproduces every hash
+    const program = () => {
+        const stamp = TrinityVibe.createVibeFunction(v => ({ ...v, at: TrinityVibe.vibeNow(), roll: TrinityVibe.vibeRandom() }));
+        const stamped = TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol({ n: 1 }), stamp);
+        const dice = TrinityVibe.createVibeActor('ReplayDice', {
+            state: { rolls: [] },
+            handlers: { roll: function() { const r = Math.ceil(TrinityVibe.vibeRandom() * 6); this.state.rolls.push(r); return r; } }
+        });
+        TrinityVibe.sendMessage(dice, 'roll');
+        return { stamped, next: TrinityVibe.stepActor(dice, 'roll').actor };
+    };
+    const session = TrinityVibe.recordSession();
+    const original = program();
+    const log = JSON.parse(JSON.stringify(session.stop()));
+    const transition = original.stamped.tapeOperations.find(op => op.type === 'transform');
+    assertEqual(transition.data.inputs.map(input => input.source).join(), 'clock,random', 'Inputs should be kept on the tape');
+    assertEqual(log.events.map(event => event.entry).join(), 'vibeTransform,sendMessage,stepActor', 'Entry points should be logged');
+    
+    const replay = TrinityVibe.replaySession(log, program);
+    assert(replay.ok, 'Replay should match the log');
+    assertEqual(replay.space.get(original.stamped.hash).value.at, original.stamped.value.at, 'Replay should reuse logged inputs');
+    assert(replay.space.has(original.next.hash), 'Replay should reproduce actor versions');
+    assertEqual(TrinityVibe.getVibeSpace().get(original.stamped.hash), original.stamped, 'Replay should leave the space untouched');
+    
+    const diverged = TrinityVibe.replaySession(log, () => TrinityVibe.vibeTransform(TrinityVibe.createVibeSymbol({ n: 2 }), { operation: 'set', value: 0 }));
+    assert(!diverged.ok && diverged.mismatches.length > 0, 'A different program should not match the log');
+});
+
+// Test 39: Isolated Vibe Spaces
+test('Isolated Vibe Spaces', () => {
+    const tenantA = TrinityVibe.createVibeSpace({ name: 'tenant-a' });
+    const tenantB = TrinityVibe.createVibeSpace({ name: 'tenant-b' });
+    const a = tenantA.createVibeSymbol({ plan: 'pro' });
+    const b = tenantB.createVibeSymbol({ plan: 'pro' });
+    assertEqual(a.hash, b.hash, 'Each space should count coordinates from zero');
+    assert(a !== b && tenantA.get(a.hash) === a && tenantB.get(b.hash) === b, 'Each space should hold its own symbol');
+    assert(!TrinityVibe.getVibeSpace().has(a.hash), 'The default space should not see tenant symbols');
+    
+    // Versions land in the space of the symbol they derive from, whichever API is used
+    const upgraded = TrinityVibe.vibeTransform(a, { operation: 'merge', data: { seats: 10 } });
+    assert(tenantA.has(upgraded.hash) && !tenantB.has(upgraded.hash), 'Free functions should follow the symbol\'s space');
+    assertEqual(tenantA.getTemporalCoord(), 2, 'Only the tenant\'s coordinate should advance');
+    tenantB.clearVibeSpace();
+    assertEqual(tenantB.size, 0, 'Clearing one space should empty it');
+    assertEqual(TrinityVibe.vibeRevert(upgraded).value.plan, 'pro', 'Other spaces should be untouched');
+    
+    // The capability root bounds every owner token in the space, and audits stay per space
+    const readOnly = TrinityVibe.createVibeSpace({ permissions: 0b0101 });
+    const locked = readOnly.createVibeSymbol({ n: 1 });
+    assertEqual(readOnly.vibeTransform(locked, { operation: 'set', value: 2 }), locked, 'Writes should be denied');
+    assertEqual(readOnly.getCapabilityAudit({ granted: false }).length, 1, 'The denial should be audited in its space');
+    assertEqual(tenantA.getCapabilityAudit({ granted: false }).length, 0, 'Other audits should stay clean');
+    
+    readOnly.config.maxTapeLength = 5;
+    assertEqual(TrinityVibe.TAPE_PRUNING_CONFIG.maxTapeLength, 1000, 'Config should be per space');
+});
+
+// Test 40: Garbage Collection and Retention
+test('Garbage Collection and Retention', () => {
+    const space = TrinityVibe.createVibeSpace({ config: { retainDepth: 2 } });
+    const docs = [space.createVibeSymbol({ rev: 0 })];
+    for (let rev = 1; rev <= 5; rev++) docs.push(space.vibeTransform(docs[rev - 1], { operation: 'merge', data: { rev } }));
+    const doc = space.retainSymbol(docs[5], 'doc');
+    const scratch = space.createVibeSymbol({ scratch: true });
+    
+    const Base = space.createVibePrototype('GcBase', { properties: { kind: 'base' }, methods: {} });
+    const Child = space.createVibePrototype('GcChild', { extends: Base, methods: {} });
+    const item = space.instantiate(Child);
+    const counter = space.createVibeActor('GcCounter', { state: { n: 0 }, handlers: { inc: function() { this.state.n++; } } });
+    let current = counter;
+    for (let i = 0; i < 3; i++) current = space.stepActor(current, 'inc').actor;
+    
+    const report = space.collectGarbage();
+    assertEqual(report.live, 8, 'Roots and their retained ancestry should stay live');
+    assertEqual(report.reclaimed, 6, 'Unreachable symbols and old ancestry should be reclaimed');
+    assertEqual(report.compacted, 4, 'Old ancestors of live symbols should count as compacted');
+    assert(space.has(docs[3].hash) && !space.has(docs[2].hash), 'Ancestry should be kept to retainDepth');
+    assert(!space.has(scratch.hash) && !space.has(item.hash), 'Unretained symbols should be collected');
+    assert(space.has(Base.hash) && space.has(current.hash) && !space.has(counter.hash), 'Prototypes and named actor heads should be roots');
+    assertEqual(space.vibeRevert(doc, 5).value.rev, 0, 'Compacted ancestors should be rebuilt from diffs');
+    
+    space.releaseSymbol('doc');
+    space.collectGarbage();
+    assert(!space.has(doc.hash), 'Released symbols should be collected');
+});
+
+// Test 41: Pruning Strategies and Explanations
+test('Pruning Strategies and Explanations', () => {
+    const space = TrinityVibe.createVibeSpace({ config: { maxTapeLength: 6, retainDepth: 3, strategy: 'recency' } });
+    let counter = space.createVibeSymbol({ n: 0, label: 'counter' });
+    for (let n = 1; n <= 8; n++) counter = space.vibeTransform(counter, { operation: 'merge', data: { n } });
+    assert(counter.tapeOperations.length <= 6, 'Transforms should prune with the space\'s strategy');
+    assert(counter.tapeOperations[0].data.folded > 1, 'The pruned past should be folded into a checkpoint');
+    assertEqual(TrinityVibe.replayTape(counter).n, 8, 'A pruned tape should still replay to the value');
+    
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        assertEqual(TrinityVibe.vibeRevertWithTape(counter, 3).value.n, 5, 'Reverts within the window should work');
+    } finally {
+        console.warn = warn;
+    }
+    assertEqual(warnings.length, 0, 'The tape should rewind to every version in the window');
+    
+    // Every operation's score components and fate are reported
+    const recency = TrinityVibe.explainPruning(counter);
+    assertEqual(recency.strategy, 'recency', 'The report should name the strategy');
+    assert(recency.operations.slice(-3).every(op => op.status === 'window'), 'The last retainDepth transitions are protected');
+    assert(recency.operations.every(op => typeof op.components.age === 'number'), 'Components should be listed per operation');
+    space.config.strategy = 'causal';
+    const causal = TrinityVibe.explainPruning(counter);
+    assertEqual(causal.operations.map(op => op.components.liveWrites).join(), '1,0,0,0,1', 'Causal scores should follow overwritten writes');
+    
+    // Custom strategies never cross the retained window
+    TrinityVibe.registerPruningStrategy('fold-everything', symbol => symbol.tapeOperations.map(() => ({ keep: false, score: 0, components: {} })));
+    space.config.strategy = 'fold-everything';
+    space.config.maxTapeLength = 1;
+    counter.pruneTapeOperations();
+    assertEqual(counter.tapeOperations.length, 4, 'A checkpoint and the window should remain');
+    assertEqual(TrinityVibe.replayTape(counter).n, 8, 'Folding everything allowed should keep the value');
+    assertEqual(space.vibeRevert(counter, 3).value.n, 5, 'Reverts within the window should still work');
+});
+
+// Test 42: Provenance Queries
+test('Provenance Queries', () => {
+    const space = TrinityVibe.createVibeSpace();
+    const config = space.createVibeSymbol({ retries: 3 });
+    const draft = space.createVibeSymbol({ n: 1 });
+    const increment = space.createVibeFunction(value => ({ ...value, n: value.n + 1 }));
+    const reviewed = space.vibeTransform(draft, increment);
+    const merged = space.vibeTransform(reviewed, { operation: 'merge', data: { config: config.hash } });
+    const reset = space.vibeTransform(reviewed, { operation: 'set', value: { n: 0 } });
+    
+    const graph = space.getProvenance();
+    assertEqual(graph.ancestors(merged).join(), [reviewed.hash, draft.hash].join(), 'Ancestors should be nearest first');
+    assertEqual(graph.commonAncestor(merged, reset), reviewed.hash, 'Branches should meet at their fork');
+    const steps = graph.contributors(merged);
+    assertEqual(steps.length, 2, 'Each version should have a contributing transition');
+    assert(steps[0].operands.includes(increment.hash), 'The transform should be an operand');
+    assertEqual(graph.impact(config).join(), merged.hash, 'A referenced config should impact what names it');
+    assert(graph.toDOT({ focus: merged }).includes('style=dotted'), 'References should be dotted in DOT');
+    assert(graph.toJSON().nodes.length >= 5, 'JSON should list every symbol');
+    assert(space.getProvenance() === graph, 'The index should be reused while the space is unchanged');
+});
+
+// Test 43: Branching Timelines
+test('Branching Timelines', () => {
+    const space = TrinityVibe.createVibeSpace();
+    const doc = space.createVibeSymbol({ title: 'draft', tags: ['a'], settings: { size: 1 } });
+    space.fork(doc, 'main');
+    space.checkout('main');
+    const feature = space.fork(doc);
+    const retitled = space.vibeTransform(doc, { operation: 'merge', data: { title: 'final' } });
+    assertEqual(space.checkout(feature).hash, doc.hash, 'Only the current branch should advance');
+    const resized = space.vibeTransform(doc, { operation: 'set', value: { title: 'draft', tags: ['a', 'b'], settings: { size: 2 } } });
+    
+    const merged = space.merge('main', feature);
+    assertEqual(merged.base, doc.hash, 'The merge should start from the fork point');
+    assertEqual(JSON.stringify(merged.symbol.value), JSON.stringify({ title: 'final', tags: ['a', 'b'], settings: { size: 2 } }), 'Changes to different paths should combine');
+    assertEqual(merged.symbol.parentHash, retitled.hash, 'The merge should extend ours');
+    
+    // Both sides changing the title conflicts until resolved
+    space.vibeTransform(resized, { operation: 'merge', data: { title: 'alternate' } });
+    const conflicted = space.merge('main', feature);
+    assertEqual(conflicted.symbol, null, 'Unresolved conflicts should not create a symbol');
+    assertEqual(JSON.stringify(conflicted.conflicts), JSON.stringify([{ path: '/title', base: 'draft', ours: 'final', theirs: 'alternate' }]), 'The conflict should list all three values');
+    assertEqual(conflicted.base, resized.hash, 'The last merge should become the base');
+    const resolved = space.merge('main', feature, { resolve: conflict => `${conflict.ours}/${conflict.theirs}` });
+    assertEqual(resolved.symbol.value.title, 'final/alternate', 'The resolver should decide the value');
+    assert(space.merge(feature, 'main').fastForward, 'A merged branch should fast-forward');
+    
+    // Editing an older version starts its own timeline
+    space.vibeTransform(space.vibeRevert(resolved.symbol, 2), { operation: 'merge', data: { note: 1 } });
+    assertEqual(space.listBranches().map(branch => branch.name).join(), `main,branch,main@${retitled.coord}`, 'Branches should be listed in creation order');
+    
+    // Clearing the space drops its timelines and retained roots, so names and hashes start over
+    space.retainSymbol(doc, 'pinned');
+    space.clearVibeSpace();
+    assert(space.size === 0 && space.listBranches().length === 0 && space.currentBranch === null, 'Clearing should drop the timelines');
+    assertEqual(space.retained.size, 0, 'Clearing should release retained roots');
+    const fresh = space.createVibeSymbol({ title: 'draft', tags: ['a'], settings: { size: 1 } });
+    assertEqual(fresh.hash, doc.hash, 'Coordinates should start over');
+    assertEqual(space.fork(fresh, 'main'), 'main', 'Branch names should be free again');
+});
+
+// Test 44: Reactive Derived Symbols
+test('Reactive Derived Symbols', () => {
+    const space = TrinityVibe.createVibeSpace();
+    let price = space.createVibeSymbol({ amount: 10 });
+    const doubled = space.derive(price, value => value.amount * 2);
+    const taxed = space.derive([price], value => value.amount + 1);
+    const seen = [];
+    const total = space.derive([doubled, taxed], (a, b) => {
+        seen.push([a, b]);
+        return a + b;
+    });
+    const events = [];
+    const unsubscribe = space.subscribe(price, (next, previous) => events.push(`${previous.value.amount}->${next.value.amount}`));
+    total.subscribe(next => events.push(`total ${next.value}`));
+    
+    price = space.vibeTransform(price, { operation: 'set', value: { amount: 20 } });
+    assertEqual(total.value, 61, 'Derived symbols should follow new versions');
+    assertEqual(JSON.stringify(seen), '[[20,11],[40,21]]', 'The diamond should recompute once, never half-updated');
+    assertEqual(events.join(), '10->20,total 61', 'Subscribers should run after the graph settles');
+    
+    // Memoized by input content; batches propagate once
+    price = space.vibeTransform(price, { operation: 'set', value: { amount: 10 } });
+    assertEqual(total.computations, 2, 'Known inputs should reuse the memoized value');
+    space.batch(() => {
+        price = space.vibeTransform(price, { operation: 'set', value: { amount: 1 } });
+        price = space.vibeTransform(price, { operation: 'set', value: { amount: 2 } });
+    });
+    assertEqual(events.slice(-2).join(), '10->2,total 7', 'A batch should notify once with its net change');
+    assert(space.getProvenance().ancestors(total.current, { kinds: ['operand'] }).includes(doubled.current.hash), 'Inputs should be operands');
+    
+    // Self-modification publishes its versions too
+    price = price.modifySelf(value => ({ amount: value.amount + 1 }));
+    price = price.modifySource(code => code.replace('3', '5'));
+    assertEqual(events.slice(-4).join(), '2->3,total 10,3->5,total 16', 'modifySelf and modifySource should notify subscribers');
+    assertEqual(price.transformationMetadata.structuralDiff.modifications[0].newValue, 5, 'modifySource should record its diff');
+    
+    unsubscribe();
+    total.dispose();
+    space.vibeTransform(price, { operation: 'set', value: { amount: 3 } });
+    assertEqual(total.value, 16, 'Disposed symbols should stop recomputing');
+    assertEqual(events.length, 10, 'Unsubscribed callbacks should not run');
+    
+    // Clearing the space drops its subscriptions and derived symbols
+    space.subscribe(price, next => events.push(`cleared ${next.value.amount}`));
+    space.clearVibeSpace();
+    assert(space.subscriptions.size === 0 && space.heads.size === 0 && space.derived.size === 0, 'Clearing should drop subscriptions');
+    space.vibeTransform(space.createVibeSymbol({ amount: 10 }), { operation: 'set', value: { amount: 4 } });
+    assertEqual(events.length, 10, 'Subscribers of a cleared space should not run');
+});
+
+// Test 45: Transactions
+test('Transactions', () => {
+    const space = TrinityVibe.createVibeSpace();
+    const config = space.createVibeSymbol({ retries: 1 });
+    const worker = space.createVibeActor('worker', {
+        state: { retries: 0 },
+        handlers: { configure(retries) { this.state.retries = retries; } }
+    });
+    const seen = [];
+    space.subscribe(config, next => seen.push(next.value.retries));
+    
+    const committed = space.vibeTransaction(() => {
+        const raised = space.vibeTransform(config, { operation: 'merge', data: { retries: 2 } });
+        const next = space.vibeTransform(raised, { operation: 'merge', data: { retries: 3 } });
+        assertEqual(seen.length, 0, 'Subscribers should not see staged versions');
+        return { config: next, worker: space.stepActor(worker, 'configure', next.value.retries).actor };
+    });
+    assertEqual(seen.join(), '3', 'The commit should publish the net change once');
+    assertEqual(committed.config.parentHash, config.hash, 'Intermediate versions should be squashed');
+    assertEqual(committed.config.tapeOperations.map(op => op.type).join(), 'write,transaction', 'One tape entry should hold the transaction');
+    assertEqual(TrinityVibe.replayTape(committed.config).retries, 3, 'The entry should replay the net change');
+    assertEqual(committed.worker.transaction.coord, committed.config.transaction.coord, 'Committed versions should share a coordinate');
+    assertEqual(space.vibeRevert(committed.worker).hash, worker.hash, 'Reverts should return to the state before the transaction');
+    
+    // Errors and denied capabilities roll everything back
+    const size = space.size;
+    const failures = [];
+    try {
+        space.vibeTransaction(() => {
+            space.vibeTransform(committed.config, { operation: 'merge', data: { retries: 4 } });
+            space.sendMessage(committed.worker, 'configure', 4);
+            throw new Error('deploy failed');
+        });
+    } catch (e) { failures.push(e.message); }
+    const readOnly = space.createVibeSymbol({ locked: true }, new Set([new TrinityVibe.VibeToken(1)]));
+    try {
+        space.vibeTransaction(() => {
+            space.vibeTransform(committed.config, { operation: 'merge', data: { retries: 5 } });
+            space.vibeTransform(readOnly, { operation: 'set', value: { locked: false } });
+        });
+    } catch (e) { failures.push(e.code); }
+    assertEqual(failures.join(), 'deploy failed,CAPABILITY_DENIED', 'Both transactions should fail');
+    assertEqual(space.size, size + 1, 'Only the symbol created outside the transactions should remain');
+    assertEqual(seen.join(), '3', 'Rolled back versions should never be published');
+});
+
+// Test 46: Symbol Queries
+test('Symbol Queries', () => {
+    const space = TrinityVibe.createVibeSpace();
+    const ada = space.createVibeSymbol({ name: 'Ada', state: { count: 1 }, tags: [] });
+    const counted = space.vibeTransform(ada, { operation: 'merge', data: { state: { count: 5 } } });
+    const tagged = space.vibeTransform(counted, { operation: 'merge', data: { tags: ['urgent'] } });
+    const worker = space.createVibeActor('worker', { state: { busy: false }, handlers: {} });
+    const locked = space.createVibeSymbol({ name: 'locked' }, new Set([new TrinityVibe.VibeToken(1)]));
+    
+    const coords = symbols => symbols.map(symbol => symbol.coord).join();
+    assertEqual(coords(space.querySymbols('has:name state.count>=3')), `${counted.coord},${tagged.coord}`, 'Value predicates should filter');
+    assertEqual(space.querySymbols({ type: 'ACTOR' })[0], worker, 'Types should be indexed');
+    assertEqual(space.querySymbols(`descendant-of:${ada.hash.substring(0, 10)}`).length, 2, 'Hash prefixes should resolve');
+    assertEqual(coords(space.querySymbols({ ancestorOf: tagged, order: '-coord' })), `${counted.coord},${ada.coord}`, 'Ancestors should follow history');
+    assertEqual(space.querySymbols('tags~urgent')[0], tagged, 'The ~ operator should test inclusion');
+    assert(!space.querySymbols('perms:w has:name').includes(locked), 'Capability bits should filter');
+    assertEqual(space.querySymbols({ coord: [counted.coord, worker.coord], limit: 2 }).length, 2, 'Coord ranges and limits should apply');
+    
+    // Indexes follow new and collected symbols
+    const later = space.vibeTransform(tagged, { operation: 'merge', data: { state: { count: 9 } } });
+    assertEqual(space.querySymbols({ lineage: ada, where: value => value.state.count === 9 })[0], later, 'New versions should be indexed');
+    space.collectGarbage({ retainDepth: 0, roots: [later] });
+    assertEqual(space.querySymbols('has:tags').length, 1, 'Collected symbols should not be returned');
+    assertEqual(space.findByContentHash(later.contentHash)[0], later, 'findByContentHash should use the index');
+    
+    let error = null;
+    try { space.querySymbols('colour:red'); } catch (e) { error = e; }
+    assertEqual(error && error.code, 'QUERY_ERROR', 'Unknown terms should be rejected');
+    
+    // Clearing the space empties its indexes
+    space.clearVibeSpace();
+    space.createVibeSymbol({ name: 'fresh', tags: [] });
+    assertEqual(space.querySymbols('has:tags').length, 1, 'Queries should only see symbols created after clearing');
+});
+
+// Test 47: Space Snapshots
+test('Space Snapshots', () => {
+    const space = TrinityVibe.createVibeSpace({ config: { checkpointEvery: 3 } });
+    let counter = space.createVibeSymbol({ n: 0 });
+    let label = space.createVibeSymbol({ text: 'draft' });
+    for (let n = 1; n <= 5; n++) counter = space.vibeTransform(counter, { operation: 'set', value: { n } });
+    const beforeTransaction = space.getTemporalCoord() - 1;
+    const [finalCounter, finalLabel] = space.vibeTransaction(() => [
+        space.vibeTransform(counter, { operation: 'set', value: { n: 100 } }),
+        space.vibeTransform(label, { operation: 'set', value: { text: 'final' } })
+    ]);
+    
+    const values = snapshot => snapshot.symbols().map(symbol => JSON.stringify(symbol.value)).join(' ');
+    assertEqual(values(space.spaceAt(0)), '{"n":0}', 'Only the first symbol existed at coord 0');
+    assertEqual(values(space.spaceAt(3)), '{"text":"draft"} {"n":2}', 'Each lineage should show its version at the coordinate');
+    assertEqual(values(space.spaceAt(finalCounter.coord)), '{"text":"draft"} {"n":5}', 'Half a transaction should never be visible');
+    assertEqual(values(space.spaceAt(finalLabel.coord)), '{"n":100} {"text":"final"}', 'The transaction should appear at its last coordinate');
+    
+    // Collected versions are rebuilt, checkpoints do not change the answer
+    space.collectGarbage({ retainDepth: 0, roots: [finalCounter, finalLabel] });
+    const past = space.spaceAt(3);
+    assertEqual(past.get(finalCounter).value.n, 2, 'Collected versions should be rebuilt from patches');
+    assert(Object.isFrozen(past), 'Snapshots should be read-only');
+    assert(space.timeline.checkpoints.length > 0, 'Seeking should leave checkpoints');
+    assertEqual(values(space.spaceAt(3)), values(past), 'Seeking from a checkpoint should give the same view');
+    
+    const diff = space.diffSpaces(beforeTransaction, space.getTemporalCoord());
+    assertEqual(diff.added.length + diff.removed.length, 0, 'No lineage should appear or disappear');
+    assertEqual(diff.changed.map(change => change.patch[0].path).join(), '/n,/text', 'Changes should come with their patches');
+});
+
+// Test 48: Time-Travel Debugger
+test('Time-Travel Debugger', () => {
+    const space = TrinityVibe.createVibeSpace();
+    const live = [];
+    const debug = space.startDebugger({ breakpoints: ['message:increment'], onBreak: frame => live.push(frame.event.index) });
+    
+    const counter = space.createVibeActor('Counter', {
+        state: { count: 0 },
+        handlers: { increment() { this.state.count++; return this.state.count; } }
+    });
+    const Lamp = space.createVibePrototype('Lamp', {
+        properties: { on: false },
+        methods: { toggle() { this.on = !this.on; return this.on; } }
+    });
+    const counted = space.sendMessage(counter, 'increment').actor;
+    const note = space.vibeTransform(space.createVibeSymbol({ text: 'a' }), { operation: 'set', value: { text: 'b' } });
+    const lamp = space.callMethod(space.instantiate(Lamp), 'toggle').instance;
+    space.stepActor(counted, 'increment');
+    try {
+        space.vibeTransaction(() => {
+            space.vibeTransform(note, { operation: 'set', value: { text: 'discarded' } });
+            throw new Error('abort');
+        });
+    } catch (e) {
+        // Rolled back on purpose
+    }
+    debug.stop();
+    space.vibeTransform(note, { operation: 'set', value: { text: 'unrecorded' } });
+    
+    assertEqual(debug.events.map(event => event.entry).join(), 'sendMessage,vibeTransform,callMethod,stepActor,vibeTransform',
+        'Every entry point should be recorded, and nothing after stop()');
+    assertEqual(live.join(), '0,3', 'onBreak should see the increment messages while recording');
+    assert(debug.events[4].rolledBack && !debug.events[1].rolledBack, 'Rolled-back events should be marked');
+    assertEqual(debug.events[2].output, lamp.hash, 'callMethod should record the new instance version');
+    
+    // Step back through history with a watch on the counter's lineage
+    const watch = debug.watch('state.count', { symbol: counter });
+    let frame = debug.reverseContinue();
+    assertEqual(frame.event.entry, 'stepActor', 'reverseContinue should stop at the previous breakpoint');
+    assertEqual(frame.diff.modifications[0].newValue, 2, 'Each step should carry its structural diff');
+    frame = debug.stepBack();
+    assertEqual(frame.event.name, 'toggle', 'stepBack should move one event back');
+    assertEqual(frame.watches[0].value, 1, 'Watches should read the lineage as of the step');
+    frame = debug.reverseContinue();
+    assertEqual(frame.event.index, 0, 'reverseContinue should reach the first increment');
+    assertEqual(JSON.stringify(frame.event.before.state), '{"count":0}', 'Messages should keep the value before');
+    assert(frame.watches[0].changed, 'The watch should change at the message');
+    assertEqual(debug.reverseContinue(), null, 'No breakpoint before the first event');
+    
+    const typeBreak = debug.addBreakpoint({ type: 'PROTOTYPE_INSTANCE' });
+    assertEqual(debug.continue().event.name, 'toggle', 'Breakpoints should match symbol types');
+    debug.removeBreakpoint(typeBreak);
+    debug.unwatch(watch);
+    assertEqual(debug.stepForward(2).event.index, 4, 'stepForward should move forward');
+    assertEqual(debug.stepForward(), null, 'Nothing after the last event');
+    assertEqual(debug.seek(1).event.after.text, 'b', 'seek should jump to an event');
+    
+    // Self-modification is recorded too, and clearing the space stops the recording
+    const session = space.startDebugger();
+    note.modifySelf(value => ({ text: `${value.text}!` }));
+    note.modifySource(code => code.replace('"b"', '"c"'));
+    assertEqual(session.events.map(event => event.entry).join(), 'modifySelf,modifySource', 'Self-modification should be recorded');
+    assertEqual(session.events[1].after.text, 'c', 'The event should keep the rewritten value');
+    space.clearVibeSpace();
+    assertEqual(space.debugger, null, 'Clearing the space should stop the debugger');
+});
+
+// Run all tests and report results
+asyncTests.then(() => {
+    console.log(`\n📊 Test Results: ${passCount}/${testCount} passed`);
+    
+    if (passCount === testCount) {
+        console.log('🎉 All tests passed!');
+        process.exit(0);
+    } else {
+        console.log(`💥 ${testCount - passCount} test(s) failed`);
+        process.exit(1);
+    }
+});
@@ -0,0 +1,223 @@
+/**
+ * Trinity Vibe Language Tests
+ * Tokenizer, parser and evaluator for the textual surface syntax
+ */
+
+const TrinityVibe = require('../trinity-vibe-core.js');
+const Lang = require('../trinity-vibe-lang.js');
+
+let testCount = 0;
+let passCount = 0;
+
+function test(name, testFn) {
+    testCount++;
+    try {
+        testFn();
+        console.log(`✅ ${name}`);
+        passCount++;
+    } catch (error) {
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+console.log('🧪 Trinity Vibe Language Tests\n');
+
+// Test 1: Tokenizer
+test('Tokenizer', () => {
+    const tokens = Lang.tokenize('(send Counter :increment "hi\\n" -4.5) ; comment');
+    const types = tokens.map(t => t.type).join(' ');
+    assertEqual(types, '( symbol symbol keyword string number )', 'Token stream should match');
+    assertEqual(tokens[4].value, 'hi\n', 'String escapes should be decoded');
+    assertEqual(tokens[5].value, -4.5, 'Negative decimals should be numbers');
+    assertEqual(tokens[1].loc.col, 2, 'Tokens should carry column positions');
+});
+
+// Test 2: Parser and Printer Round-Trip
+test('Parser and Printer Round-Trip', () => {
+    const source = '(defn add (a b) (+ a b))\n(def m {:x [1 2 3] "y" nil})\n\'(quoted true)';
+    const ast = Lang.parse(source);
+    assertEqual(ast.type, 'Program', 'Parser should produce a Program node');
+    assertEqual(ast.body.length, 3, 'Program should have three forms');
+    assertEqual(Lang.print(ast), source, 'Printing the AST should reproduce the source');
+});
+
+// Test 3: Syntax Errors Carry Locations
+test('Syntax Errors Carry Locations', () => {
+    let error = null;
+    try {
+        Lang.parse('(def x\n  (+ 1 2)');
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof Lang.VibeSyntaxError, 'Should throw VibeSyntaxError');
+    assertEqual(error.loc.line, 1, 'Error should point at the unclosed form');
+});
+
+// Test 4: AST as VibeSymbol
+test('AST as VibeSymbol', () => {
+    const program = Lang.parseToSymbol('(+ 1 2 3)');
+    assert(program instanceof TrinityVibe.VibeSymbol, 'Program should be a VibeSymbol');
+    assert(TrinityVibe.getVibeSpace().has(program.hash), 'Program should live in vibe space');
+    assertEqual(program.sourceCode, '(+ 1 2 3)', 'Program sourceCode should be vibe source');
+    assertEqual(Lang.evaluate(program), 6, 'Program symbol should be executable');
+});
+
+// Test 5: Functions and Closures
+test('Functions and Closures', () => {
+    const result = Lang.evaluate(`
+        (defn make-adder (n) (fn (x) (+ x n)))
+        (def add5 (make-adder 5))
+        (let (a 1 b 2) (add5 (+ a b)))
+    `);
+    assertEqual(result, 8, 'Closures should capture their environment');
+});
+
+// Test 6: Transform and Revert Forms
+test('Transform and Revert Forms', () => {
+    const env = Lang.createEnvironment();
+    const next = Lang.evaluate(`
+        (def data (vibe {:count 0}))
+        (transform data (fn (d) {:count (+ d.count 1)}))
+    `, env);
+    assertEqual(next.value.count, 1, 'Transform should apply the function');
+    assertEqual(next.parentHash, env.lookup('data').hash, 'Transform should keep lineage');
+
+    const merged = Lang.evaluate('(transform data :merge {:label "x"})', env);
+    assertEqual(merged.value.label, 'x', 'Transform :merge should merge data');
+
+    const reverted = Lang.evaluate('(revert (transform data :set {:count 9}))', env);
+    assertEqual(reverted.value.count, 0, 'Revert should step back to the parent');
+});
+
+// Test 7: Actor Form
+test('Actor Form', () => {
+    const env = Lang.createEnvironment();
+    const count = Lang.evaluate(`
+        (actor Counter
+          (state {:count 0})
+          (on increment () (set! state.count (+ state.count 1)))
+          (on add (n) (set! state.count (+ state.count n))))
+        (send Counter :increment)
+        (send Counter :add 10)
+    `, env);
+    assertEqual(count, 11, 'Actor handlers should update state');
+    assertEqual(env.lookup('Counter').vibeType, 'ACTOR', 'Actor form should create an ACTOR');
+});
+
+// Test 8: Prototype Form
+test('Prototype Form', () => {
+    const result = Lang.evaluate(`
+        (prototype Vehicle
+          (method start () (str "Starting " self.brand " " self.model)))
+        (def car (new Vehicle {:brand "Toyota" :model "Camry"}))
+        (call car :start)
+    `);
+    assertEqual(result, 'Starting Toyota Camry', 'Prototype methods should see self');
+});
+
+// Test 9: Code Is Data
+test('Code Is Data', () => {
+    const env = Lang.createEnvironment();
+    const quoted = Lang.evaluate('\'(* 6 7)', env);
+    assertEqual(quoted.type, 'List', 'Quote should return an AST node');
+    assertEqual(Lang.evaluate('(eval \'(* 6 7))', env), 42, 'eval should run quoted code');
+});
+
+// Test 10: sourceCode Round-Trip
+test('sourceCode Round-Trip', () => {
+    const env = Lang.createEnvironment();
+    const symbol = Lang.evaluate('(vibe {:name "vibe" :tags ["a" "b"] :double (fn (x) (* x 2))})', env);
+    const copy = Lang.evaluate(symbol.sourceCode);
+    assertEqual(copy.sourceCode, symbol.sourceCode, 'Re-evaluated sourceCode should be stable');
+    assertEqual(copy.value.double(21), 42, 'Functions should survive the round-trip');
+
+    const actor = Lang.evaluate('(actor Echo (on say (x) x))', env);
+    const actorCopy = Lang.evaluate(actor.sourceCode);
+    assertEqual(TrinityVibe.sendMessage(actorCopy, 'say', 'hi').out, 'hi', 'Actor sourceCode should be executable');
+});
+
+// Test 11: Evaluation Errors
+test('Evaluation Errors', () => {
+    let error = null;
+    try {
+        Lang.evaluate('(undefined-thing 1)');
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof Lang.VibeEvalError, 'Should throw VibeEvalError');
+    assertEqual(error.loc.line, 1, 'Eval errors should carry a location');
+});
+
+// Test 12: Functions Round-Trip Through the Codec
+test('Functions Round-Trip Through the Codec', () => {
+    const env = Lang.createEnvironment();
+    Lang.evaluate('(actor Greeter (state {:greeting "hi"}) (on greet (name) (str state.greeting " " name)))', env);
+    const actor = env.lookup('Greeter');
+    
+    const encoded = JSON.parse(JSON.stringify(TrinityVibe.encodeValue(actor.value)));
+    assertEqual(encoded.handlers.greet.language, 'vibe', 'Vibe functions should be stored as vibe source');
+    
+    const context = { issues: [] };
+    const decoded = TrinityVibe.decodeValue(encoded, context);
+    assertEqual(context.issues.length, 0, 'Vibe functions should decode');
+    assertEqual(decoded.handlers.greet.call(decoded, 'Ada'), 'hi Ada', 'Decoded handlers should see state');
+    assertEqual(String(decoded.handlers.greet), String(actor.value.handlers.greet), 'Decoded handlers should keep their source');
+    
+    const scaled = Lang.evaluate('(fn (x) (* x factor))', env);
+    TrinityVibe.declareRequires(scaled, { factor: 3 });
+    const restored = TrinityVibe.decodeValue(TrinityVibe.encodeValue(scaled), { issues: [] });
+    assertEqual(restored(5), 15, 'Declared bindings should be defined for vibe functions');
+});
+
+// Test 13: Prototype Inheritance Forms
+test('Prototype Inheritance Forms', () => {
+    const env = Lang.createEnvironment();
+    const result = Lang.evaluate(`
+        (prototype Vehicle
+          (properties {:wheels 4})
+          (method start () (str "Starting " self.brand)))
+        (prototype Loud
+          (method honk () "Beep"))
+        (prototype Car
+          (extends Vehicle)
+          (mixins Loud)
+          (method start () (str (super self :start) " on " self.wheels " wheels")))
+        (def car (new Car {:brand "Toyota"}))
+        (call car :start)
+    `, env);
+    assertEqual(result, 'Starting Toyota on 4 wheels', 'super should reach the parent method');
+    assertEqual(Lang.evaluate('(call car :honk)', env), 'Beep', 'Mixin methods should resolve');
+    assertEqual(Lang.evaluate('(instance? car Vehicle)', env), true, 'instance? should follow the parent chain');
+
+    Lang.evaluate(`
+        (prototype Tally
+          (properties {:n 0})
+          (method bump () (set! self.n (+ self.n 1)) self.n))
+        (def t0 (new Tally))
+        (def t1 (get (invoke t0 :bump) :instance))
+    `, env);
+    assertEqual(Lang.evaluate('(list t0.value.n t1.value.n (call t1 :bump))', env).join(), '0,1,2', 'invoke should return the next version');
+});
+
+// Run all tests and report results
+console.log(`\n📊 Test Results: ${passCount}/${testCount} passed`);
+
+if (passCount === testCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+} else {
+    console.log(`💥 ${testCount - passCount} test(s) failed`);
+    process.exit(1);
+}
@@ -7,64 +7,417 @@
  * performs computations through tape operations and causal relevance scoring.
  */
 
-// Global state
-let temporalCoord = 0;
-const VIBE_SPACE = new Map();
+// Global state: symbols are registered in the current VibeSpace (see VIBE SPACES)
+let CURRENT_SPACE = null;
 
-// Configuration for tape pruning
+// Configuration for tape pruning and space retention (the default space's; other spaces
+// start from a copy)
 const TAPE_PRUNING_CONFIG = {
     maxTapeLength: 1000,
     temporalDecayFactor: 0.1,
     structuralRelevanceThreshold: 0.3,
     causalAncestryWeight: 0.4,
-    dependencyRelevanceWeight: 0.3
+    dependencyRelevanceWeight: 0.3,
+    // See GARBAGE COLLECTION
+    retainDepth: 10, // Ancestor versions of each live symbol kept in the space for reverts
+    retainAge: null, // ...while at most this many temporal coordinates old (null: no limit)
+    collectEvery: null, // Collect after this many new symbols (null: only on collectGarbage())
+    // See TAPE PRUNING; tapes always keep what reverting `retainDepth` versions needs
+    strategy: 'relevance', // 'relevance', 'recency', 'causal', 'size', 'lru' or a registered name
+    sizeBudget: 65536, // Serialized bytes of tape the 'size' strategy keeps
+    accessWindow: 100, // Temporal coordinates an operation stays recent for 'lru' after replay
+    // See SNAPSHOTS
+    checkpointEvery: 1000 // Timeline entries between checkpoints (at least the number of lineages)
 };
 
-// Utility functions
-function vibeHash(...inputs) {
-    let hash = 0;
-    const str = inputs.join('');
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
+// ============= CONTENT ADDRESSING =============
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Pure-JS SHA-256 over the UTF-8 bytes of a string (no crypto dependency, same result everywhere)
+function sha256(message) {
+    const bytes = new TextEncoder().encode(message);
+    const bitLength = bytes.length * 8;
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+    
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+        
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) >>> 0;
+            hh = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        
+        h[0] = (h[0] + a) >>> 0; h[1] = (h[1] + b) >>> 0; h[2] = (h[2] + c) >>> 0; h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0; h[5] = (h[5] + f) >>> 0; h[6] = (h[6] + g) >>> 0; h[7] = (h[7] + hh) >>> 0;
+    }
+    
+    return h.map(x => x.toString(16).padStart(8, '0')).join('');
+}
+
+// Deterministic serialization: sorted keys, function source, nested symbols by content,
+// Maps/Sets in sorted order and cycles as back-references to the enclosing depth
+function canonicalize(value, ancestors = []) {
+    if (value === null) return 'null';
+    switch (typeof value) {
+        case 'undefined': return 'undefined';
+        case 'boolean': return String(value);
+        case 'number': return Number.isFinite(value) ? JSON.stringify(value) : `number:${value}`;
+        case 'bigint': return `bigint:${value}`;
+        case 'string': return JSON.stringify(value);
+        case 'symbol': return `symbol:${JSON.stringify(value.description || '')}`;
+        case 'function': return `function:${JSON.stringify(value.toString())}`;
+    }
+    
+    const cycleIndex = ancestors.indexOf(value);
+    if (cycleIndex !== -1) return `cycle:${ancestors.length - cycleIndex}`;
+    const path = [...ancestors, value];
+    const sorted = items => items.map(item => canonicalize(item, path)).sort();
+    
+    if (value instanceof VibeSymbol) return `vibe:${value.contentHash}`;
+    if (Array.isArray(value)) return `[${Array.from(value, item => canonicalize(item, path)).join(',')}]`;
+    if (value instanceof Map) {
+        const entries = Array.from(value, ([k, v]) => `${canonicalize(k, path)}=>${canonicalize(v, path)}`);
+        return `map{${entries.sort().join(',')}}`;
     }
-    return Math.abs(hash).toString(16);
+    if (value instanceof Set) return `set{${sorted(Array.from(value)).join(',')}}`;
+    if (value instanceof Date) return `date:${isNaN(value) ? 'invalid' : value.toISOString()}`;
+    if (value instanceof RegExp) return `regexp:${value.toString()}`;
+    
+    const proto = Object.getPrototypeOf(value);
+    const tag = proto && proto !== Object.prototype && proto.constructor ? proto.constructor.name : '';
+    const fields = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key], path)}`);
+    return `${tag}{${fields.join(',')}}`;
+}
+
+// JSON.stringify that renders back-references to an enclosing object as "[Circular]"
+function safeStringify(value, indent) {
+    const ancestors = [];
+    return JSON.stringify(value, function (key, val) {
+        if (val && typeof val === 'object') {
+            // `this` is the holder: drop ancestors that are no longer on the current path
+            while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+            if (ancestors.includes(val)) return '[Circular]';
+            ancestors.push(val);
+        }
+        return val;
+    }, indent);
+}
+
+function computeContentHash(value) {
+    return sha256(canonicalize(value));
+}
+
+function vibeHash(...inputs) {
+    return sha256(canonicalize(inputs));
 }
 
 function createVibeId() {
-    return vibeHash(Date.now(), Math.random(), temporalCoord);
+    return vibeHash(vibeNow(), vibeRandom(), CURRENT_SPACE.coord);
+}
+
+// ============= DETERMINISM =============
+
+// The runtime reads time and randomness only through vibeNow() and vibeRandom(), so installing
+// a fixed clock and a seeded PRNG makes ids, audit times and wall-clock expiry reproducible.
+// Every value drawn is an input: the transform, step or method call it was drawn in keeps it
+// on its tape entry (`data.inputs`), and a recorded session logs all of them in order together
+// with the hashes each entry point produced. Replaying the program against the log feeds the
+// same inputs back and checks that every hash comes out the same.
+
+const HOST_SOURCES = { clock: () => Date.now(), random: () => Math.random() };
+const VIBE_SOURCES = { ...HOST_SOURCES };
+const INPUT_FRAMES = []; // Inputs drawn by each entry point call in progress
+let SESSION = null; // VibeSession being recorded or replayed
+
+function vibeNow() {
+    return drawInput('clock');
+}
+
+function vibeRandom() {
+    return drawInput('random');
+}
+
+function drawInput(source) {
+    const value = SESSION ? SESSION.draw(source, VIBE_SOURCES[source]) : VIBE_SOURCES[source]();
+    INPUT_FRAMES.forEach(frame => frame.push({ source, value }));
+    return value;
+}
+
+// Run `fn` and collect the inputs it drew: { value, inputs }
+function drawnDuring(fn) {
+    const frame = [];
+    INPUT_FRAMES.push(frame);
+    try {
+        return { value: fn(), inputs: frame };
+    } finally {
+        INPUT_FRAMES.pop();
+    }
+}
+
+// Install a clock (() => ms since epoch) or random source (() => number in [0, 1));
+// null restores the host's. Returns the source that was installed before.
+function setVibeClock(clock) {
+    const previous = VIBE_SOURCES.clock;
+    VIBE_SOURCES.clock = clock || HOST_SOURCES.clock;
+    return previous;
+}
+
+function setVibeRandom(random) {
+    const previous = VIBE_SOURCES.random;
+    VIBE_SOURCES.random = random || HOST_SOURCES.random;
+    return previous;
+}
+
+// mulberry32 seeded from the SHA-256 of any seed value
+function createSeededRandom(seed = 0) {
+    let a = parseInt(sha256(canonicalize(seed)).slice(0, 8), 16);
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A clock that starts at `start` and advances `step` ms every time it is read
+function createSteppedClock(start = 0, step = 1) {
+    let now = start - step;
+    return () => (now += step);
+}
+
+// Seeded randomness and a stepped clock; returns a function that restores the previous sources
+function useDeterministicMode({ seed = 0, start = 0, step = 1 } = {}) {
+    const clock = setVibeClock(createSteppedClock(start, step));
+    const random = setVibeRandom(createSeededRandom(seed));
+    return () => {
+        setVibeClock(clock);
+        setVibeRandom(random);
+    };
+}
+
+class VibeSession {
+    constructor(mode, log) {
+        this.mode = mode; // 'record' or 'replay'
+        this.log = log; // { startCoord, inputs: [{ source, value }], events: [{ entry, input, output }] }
+        this.cursor = 0;
+        this.events = [];
+        this.divergences = []; // Replay draws that did not match the log
+    }
+    
+    draw(source, generate) {
+        if (this.mode === 'record') {
+            const value = generate();
+            this.log.inputs.push({ source, value });
+            return value;
+        }
+        const logged = this.log.inputs[this.cursor];
+        if (!logged || logged.source !== source) {
+            this.divergences.push({ index: this.cursor, expected: logged ? logged.source : null, actual: source });
+            return generate();
+        }
+        this.cursor++;
+        return logged.value;
+    }
+    
+    event(entry, input, output) {
+        const event = { entry, input, output };
+        (this.mode === 'record' ? this.log.events : this.events).push(event);
+    }
+    
+    stop() {
+        if (SESSION === this) SESSION = null;
+        return this.log;
+    }
+}
+
+// Called by vibeTransform, sendMessage, stepActor and callMethod with the hashes they produced
+function sessionEvent(entry, input, output) {
+    if (SESSION) SESSION.event(entry, input, output);
+}
+
+// Log every input and entry point call until `session.stop()`, which returns the log (plain JSON)
+function recordSession() {
+    if (SESSION) throw new Error(`Cannot record: a session is already being ${SESSION.mode === 'record' ? 'recorded' : 'replayed'}`);
+    SESSION = new VibeSession('record', { startCoord: CURRENT_SPACE.coord, inputs: [], events: [] });
+    return SESSION;
+}
+
+// Run `program` (synchronously) against a recorded log in a new VibeSpace starting at the
+// recorded temporal coordinate; the replayed symbols are left in the returned `space`
+function replaySession(log, program) {
+    if (SESSION) throw new Error('Cannot replay: a session is already active');
+    const space = createVibeSpace({ name: 'replay', coord: log.startCoord });
+    const session = SESSION = new VibeSession('replay', log);
+    try {
+        inSpace(space, program);
+    } finally {
+        session.stop();
+    }
+    
+    const length = Math.max(log.events.length, session.events.length);
+    const mismatches = [];
+    for (let i = 0; i < length; i++) {
+        const expected = log.events[i] || null;
+        const actual = session.events[i] || null;
+        if (!expected || !actual || ['entry', 'input', 'output'].some(key => expected[key] !== actual[key])) {
+            mismatches.push({ index: i, expected, actual });
+        }
+    }
+    if (session.cursor < log.inputs.length) {
+        session.divergences.push({ index: session.cursor, expected: log.inputs[session.cursor].source, actual: null });
+    }
+    return {
+        ok: mismatches.length === 0 && session.divergences.length === 0,
+        events: session.events,
+        mismatches,
+        divergences: session.divergences,
+        space
+    };
 }
 
 // ============= CAPABILITY TOKENS =============
 
+// Tokens are object capabilities: holding one (in a symbol's `capabilities`) is the authority.
+// Grants live in a module-private WeakMap, so a token cannot be forged from a plain object or
+// widened by assigning to its fields; delegation only ever narrows a grant.
+const PERMISSION_BITS = { read: 1, write: 2, execute: 4, network: 8 };
+const TOKEN_GRANTS = new WeakMap(); // token -> { permissions, expiry, expiresAt, scope, caveats, parent, revoked, space }
+
 class VibeToken {
-    constructor(permissions = 0b1111, expiry = temporalCoord + 1000, vibeLevel = 1.0) {
-        this.permissions = permissions; // Bitfield: read(1) write(2) execute(4) network(8)
-        this.expiry = expiry;
+    // `expiry` is a temporal coordinate of the space the token is created in (null never
+    // expires); `options.expiresAt` adds a wall-clock deadline (ms since epoch), `options.scope`
+    // limits the token to the listed symbols and their descendants, `options.caveats` are
+    // predicates `(request) => boolean`
+    constructor(permissions = 0b1111, expiry = CURRENT_SPACE.coord + 1000, vibeLevel = 1.0, options = {}) {
+        TOKEN_GRANTS.set(this, {
+            permissions, // Bitfield: read(1) write(2) execute(4) network(8)
+            expiry,
+            expiresAt: options.expiresAt ?? null,
+            scope: options.scope ? new Set(options.scope.map(s => (s instanceof VibeSymbol ? s.hash : s))) : null,
+            caveats: options.caveats || [],
+            parent: options.parent || null,
+            revoked: false,
+            space: options.parent ? TOKEN_GRANTS.get(options.parent).space : CURRENT_SPACE
+        });
         this.vibeLevel = vibeLevel; // 0.0 to 1.0, affects transformation intensity
         this.attenuationChain = [];
         this.id = createVibeId();
     }
     
-    can(operation) {
-        const opMap = { read: 1, write: 2, execute: 4, network: 8 };
-        return !this.isExpired() && (this.permissions & opMap[operation]) !== 0;
+    get permissions() {
+        return TOKEN_GRANTS.get(this).permissions;
+    }
+    
+    get expiry() {
+        return TOKEN_GRANTS.get(this).expiry;
+    }
+    
+    get expiresAt() {
+        return TOKEN_GRANTS.get(this).expiresAt;
+    }
+    
+    get scope() {
+        const { scope } = TOKEN_GRANTS.get(this);
+        return scope ? Array.from(scope) : null;
+    }
+    
+    can(operation, symbol = null) {
+        return this.check(PERMISSION_BITS[operation], symbol) === null;
+    }
+    
+    // Bitmask form used by the IDE: every required bit must be granted
+    allows(requiredPerms) {
+        return (this.permissions & requiredPerms) === requiredPerms;
+    }
+    
+    // Why this token does not grant `requiredPerms` on `symbol`, or null when it does.
+    // A delegated token is only as good as every token it was delegated from.
+    check(requiredPerms, symbol = null, request = {}) {
+        const grant = TOKEN_GRANTS.get(this);
+        if (!grant) return 'forged';
+        if (grant.revoked) return 'revoked';
+        if (this.isExpired()) return 'expired';
+        if (!this.allows(requiredPerms)) return 'permission';
+        if (symbol && !this.covers(symbol)) return 'scope';
+        if (!grant.caveats.every(caveat => caveat({ ...request, permissions: requiredPerms, symbol, token: this }))) return 'caveat';
+        return grant.parent ? grant.parent.check(requiredPerms, symbol, request) : null;
+    }
+    
+    // Whether `symbol` (or a symbol hash) is one of the scoped symbols or descends from one
+    covers(symbol) {
+        const { scope, space } = TOKEN_GRANTS.get(this);
+        if (!scope) return true;
+        const target = symbol instanceof VibeSymbol ? symbol : space.symbols.get(symbol);
+        if (!target) return scope.has(symbol);
+        return scope.has(target.hash) || target.history.some(hash => scope.has(hash));
     }
     
     attenuate(restrictions) {
-        const newToken = new VibeToken(
-            this.permissions & (~restrictions), // Remove restricted permissions
-            Math.min(this.expiry, temporalCoord + 100), // Shorter expiry
-            this.expiry
+        const { token } = this.delegate({
+            remove: restrictions, // Remove restricted permissions
+            expiry: TOKEN_GRANTS.get(this).space.coord + 100 // Shorter expiry
+        });
+        token.vibeLevel = this.vibeLevel * 0.8; // Decay vibe
+        return token;
+    }
+    
+    // Hand a narrower token to someone else: `remove` drops permission bits, `scope`, `caveats`,
+    // `expiry` and `expiresAt` add limits. Limits are folded in here, so a delegated token never
+    // grants more than its parent; revoking disables it and everything delegated from it, and
+    // the holder of `token` cannot undo that.
+    delegate(options = {}) {
+        const sooner = (a, b) => (a === null || a === undefined) ? b : (b === null ? a : Math.min(a, b));
+        const token = new VibeToken(
+            this.permissions & ~(options.remove || 0),
+            sooner(options.expiry, this.expiry),
+            this.vibeLevel,
+            {
+                scope: options.scope ? options.scope.filter(s => this.covers(s)) : this.scope,
+                expiresAt: sooner(options.expiresAt, this.expiresAt),
+                caveats: options.caveats,
+                parent: this
+            }
         );
-        newToken.vibeLevel = this.vibeLevel * 0.8; // Decay vibe
-        newToken.attenuationChain = [...this.attenuationChain, restrictions];
-        return newToken;
+        token.attenuationChain = [...this.attenuationChain, options.remove || 0];
+        return { token, revoke: () => { TOKEN_GRANTS.get(token).revoked = true; } };
     }
     
     isExpired() {
-        return temporalCoord >= this.expiry;
+        return (this.expiry !== null && TOKEN_GRANTS.get(this).space.coord >= this.expiry) ||
+            (this.expiresAt !== null && vibeNow() >= this.expiresAt);
     }
     
     getVibeEmoji() {
@@ -76,52 +429,483 @@ class VibeToken {
     }
 }
 
+// Every granted and denied check made by a core entry point is kept, oldest first, in the
+// audit of the symbol's space
+const CAPABILITY_AUDIT_LIMIT = 1000;
+
+// Check that `symbol` holds a token granting `operation` ('read', 'write', 'execute',
+// 'network' or a bitmask) and record the outcome. `entry` names the API being called.
+function authorize(symbol, operation, entry, request = {}) {
+    const requiredPerms = typeof operation === 'number' ? operation : PERMISSION_BITS[operation];
+    const reasons = [];
+    let granted = null;
+    for (const token of (symbol && symbol.capabilities) || []) {
+        const reason = token instanceof VibeToken ? token.check(requiredPerms, symbol, { ...request, entry }) : 'forged';
+        if (reason === null) {
+            granted = token;
+            break;
+        }
+        reasons.push(reason);
+    }
+    
+    const space = (symbol && symbol.space) || CURRENT_SPACE;
+    space.audit.push({
+        entry,
+        operation,
+        symbol: symbol ? symbol.hash : null,
+        token: granted ? granted.id : null,
+        granted: !!granted,
+        reason: granted ? null : (reasons.join(', ') || 'no capability'),
+        coord: space.coord,
+        time: vibeNow()
+    });
+    if (space.audit.length > CAPABILITY_AUDIT_LIMIT) space.audit.shift();
+    if (!granted && space.transaction && !space.transaction.denied) {
+        space.transaction.denied = capabilityDenied(symbol, operation, entry); // Rolls the transaction back
+    }
+    return !!granted;
+}
+
+function capabilityDenied(symbol, operation, entry) {
+    const error = new Error(`${entry}: ${operation} capability denied 🚫`);
+    error.code = 'CAPABILITY_DENIED';
+    error.symbol = symbol ? symbol.hash : null;
+    return error;
+}
+
+// Audit entries of the current space, optionally filtered by any of their fields
+// ({ granted: false, entry: 'sendMessage' })
+function getCapabilityAudit(filter = {}) {
+    return CURRENT_SPACE.audit.filter(entry => Object.keys(filter).every(key => entry[key] === filter[key]));
+}
+
+function clearCapabilityAudit() {
+    CURRENT_SPACE.audit.length = 0;
+}
+
 // ============= TAPE-LOOP LAYER: REVERSIBLE + HOMOICONIC FOUNDATION =============
 
+// Tape operations are executed by a TapeMachine. `write` and `restore` apply a JSON-Patch
+// operation (see STRUCTURAL DIFF / PATCH ENGINE) to the cell under the head; a bare value
+// replaces the whole cell. Transitions between symbol versions ('transform', 'step', 'modify')
+// are composite: they carry the concrete writes they performed as `operations`.
+
 class TapeOperation {
-    constructor(type, data, position = 0, computeInverse = true) {
-        this.type = type; // 'read', 'write', 'move', 'mark', 'jump'
+    constructor(type, data, position = 0, computeInverse = true, operations = null) {
+        this.type = type; // 'read', 'write', 'restore', 'move', 'mark', 'unmark', 'jump' or a composite
         this.data = data;
         this.position = position;
+        this.coord = CURRENT_SPACE.coord; // Temporal coordinate the operation belongs to
+        this.operations = operations;
+        if ((type === 'write' || type === 'restore') && isPatchOperation(data) && 'oldValue' in data) {
+            this.previousValue = data.oldValue;
+        }
         this.inverse = computeInverse ? this.computeInverse() : null;
         this.structure = this.toStructure();
     }
     
     computeInverse() {
+        if (this.operations) {
+            const inverses = this.operations.map(op => op.inverse || op.computeInverse()).filter(Boolean);
+            return new TapeOperation('revert', this.data, this.position, false, inverses.reverse());
+        }
         switch(this.type) {
-            case 'write': return new TapeOperation('restore', this.previousValue, this.position, false);
+            case 'write': return new TapeOperation('restore', undoWrite(this.data, this.previousValue), this.position, false);
             case 'move': return new TapeOperation('move', -this.data, this.position, false);
             case 'mark': return new TapeOperation('unmark', this.data, this.position, false);
             case 'jump': return new TapeOperation('jump', this.returnAddress, this.position, false);
-            case 'restore': return new TapeOperation('write', this.data, this.position, false);
+            case 'restore': return new TapeOperation('write', undoWrite(this.data, this.previousValue), this.position, false);
             default: return null;
         }
     }
     
     toStructure() {
-        return {
+        const structure = {
             op: this.type,
             data: this.data,
             pos: this.position,
             reversible: true,
             homoiconic: true
         };
+        if (this.operations) structure.operations = this.operations.map(op => op.structure);
+        return structure;
     }
     
     toCode() {
-        return `(${this.type} ${this.data} @${this.position})`;
+        if (this.operations) {
+            return `(${[this.type, ...this.operations.map(op => op.toCode())].join(' ')})`;
+        }
+        if (isPatchOperation(this.data)) {
+            const { op, path, from, value } = this.data;
+            const operands = op === 'move' ? [from, path].map(p => JSON.stringify(p))
+                : op === 'remove' ? [JSON.stringify(path)] : [JSON.stringify(path), safeStringify(value)];
+            return `(${this.type} ${op} ${operands.join(' ')} @${this.position})`;
+        }
+        const data = this.data && typeof this.data === 'object' ? safeStringify(this.data) : this.data;
+        return `(${this.type} ${data} @${this.position})`;
+    }
+    
+    // Plain JSON form; functions inside written values do not survive serialization
+    toJSON() {
+        const json = { type: this.type, data: this.data, position: this.position, coord: this.coord };
+        if (this.previousValue !== undefined) json.previousValue = this.previousValue;
+        if (this.operations) json.operations = this.operations.map(op => op.toJSON());
+        return json;
+    }
+    
+    static fromJSON(json) {
+        const operations = json.operations ? json.operations.map(op => TapeOperation.fromJSON(op)) : null;
+        const operation = new TapeOperation(json.type, json.data, json.position, false, operations);
+        operation.coord = json.coord;
+        if ('previousValue' in json) operation.previousValue = json.previousValue;
+        operation.inverse = operation.computeInverse();
+        return operation;
+    }
+}
+
+function isPatchOperation(data) {
+    return !!data && typeof data === 'object' && typeof data.op === 'string' && typeof data.path === 'string';
+}
+
+function toPatchOperation(data) {
+    return isPatchOperation(data) ? data : { op: 'replace', path: '', value: data };
+}
+
+// The patch operation that undoes a write, given what the written path held before
+function undoWrite(data, previousValue) {
+    const operation = toPatchOperation(data);
+    if (operation.path === '') {
+        return previousValue === undefined
+            ? { op: 'remove', path: '' }
+            : { op: 'replace', path: '', value: previousValue };
+    }
+    return invertPatch([{ ...operation, oldValue: previousValue }])[0];
+}
+
+// Fill in `oldValue` from the cell about to be written; an 'add' onto an existing object key
+// overwrites it, so it is undone like a replace
+function capturePrevious(value, operation) {
+    if (operation.op === 'move') return operation;
+    
+    const segments = parsePath(operation.path);
+    if (operation.op === 'add') {
+        const key = segments[segments.length - 1];
+        const parent = segments.length > 0 ? readPath(value, segments.slice(0, -1)) : undefined;
+        const overwrites = segments.length === 0
+            ? value !== undefined
+            : !Array.isArray(parent) && parent !== null && typeof parent === 'object' && Object.prototype.hasOwnProperty.call(parent, key);
+        if (!overwrites) return operation;
+        return { ...operation, op: 'replace', oldValue: readPath(value, segments) };
     }
+    return { ...operation, oldValue: readPath(value, segments) };
+}
+
+// Tape interpreter: numbered cells, a head, and labelled marks (a stack per label).
+// Every executed operation is kept with the inverse computed from the actual machine
+// state, so `rewind` undoes exactly what ran.
+class TapeMachine {
+    constructor() {
+        this.cells = new Map(); // position -> value
+        this.head = 0;
+        this.marks = new Map(); // label -> [position, ...]
+        this.executed = []; // { operation, inverse }
+    }
+    
+    read(position = this.head) {
+        return this.cells.get(position);
+    }
+    
+    // Execute one operation; returns the value under the head afterwards
+    execute(operation) {
+        const inverse = this.perform(operation);
+        this.executed.push({ operation, inverse });
+        return this.read();
+    }
+    
+    run(operations) {
+        operations.forEach(operation => this.execute(operation));
+        return this;
+    }
+    
+    // Undo the last `steps` executed operations, newest first
+    rewind(steps = 1) {
+        const rewound = [];
+        while (rewound.length < steps && this.executed.length > 0) {
+            const entry = this.executed.pop();
+            if (entry.inverse) this.perform(entry.inverse);
+            rewound.push(entry);
+        }
+        return rewound;
+    }
+    
+    // Apply an operation and return its inverse (null when there is nothing to undo)
+    perform(operation) {
+        if (operation.operations) {
+            const inverses = operation.operations.map(op => this.perform(op)).filter(Boolean);
+            return new TapeOperation('revert', operation.data, this.head, false, inverses.reverse());
+        }
+        
+        switch (operation.type) {
+            case 'read':
+                return null;
+            case 'write':
+            case 'restore': {
+                const performed = capturePrevious(this.read(), toPatchOperation(operation.data));
+                const next = applyOperation(this.read(), performed);
+                if (next === undefined) this.cells.delete(this.head);
+                else this.cells.set(this.head, next);
+                const inverseType = operation.type === 'write' ? 'restore' : 'write';
+                return new TapeOperation(inverseType, undoWrite(performed, performed.oldValue), this.head, false);
+            }
+            case 'move':
+                this.head += operation.data;
+                return new TapeOperation('move', -operation.data, this.head, false);
+            case 'mark': {
+                const positions = this.marks.get(operation.data) || [];
+                this.marks.set(operation.data, [...positions, this.head]);
+                return new TapeOperation('unmark', operation.data, this.head, false);
+            }
+            case 'unmark': {
+                const positions = this.marks.get(operation.data) || [];
+                if (positions.length === 0) return null;
+                const position = positions[positions.length - 1];
+                if (positions.length === 1) this.marks.delete(operation.data);
+                else this.marks.set(operation.data, positions.slice(0, -1));
+                // Re-marking happens at the head, so the inverse visits the old position
+                return new TapeOperation('revert', operation.data, this.head, false, [
+                    new TapeOperation('jump', position, this.head, false),
+                    new TapeOperation('mark', operation.data, position, false),
+                    new TapeOperation('jump', this.head, position, false)
+                ]);
+            }
+            case 'jump': {
+                const target = this.resolveJump(operation.data);
+                const returnAddress = this.head;
+                this.head = target;
+                return new TapeOperation('jump', returnAddress, target, false);
+            }
+            default:
+                throw new Error(`Unknown tape operation: ${operation.type}`);
+        }
+    }
+    
+    // Jump targets are absolute positions or mark labels (the most recent mark wins)
+    resolveJump(target) {
+        if (typeof target === 'number') return target;
+        const positions = this.marks.get(target);
+        if (!positions || positions.length === 0) {
+            throw new Error(`Unknown tape mark: ${target}`);
+        }
+        return positions[positions.length - 1];
+    }
+}
+
+// A transition between symbol versions: the patch becomes concrete writes to cell 0
+function recordTransition(type, data, patch, coord) {
+    const writes = patch.map(operation => {
+        const write = new TapeOperation('write', operation, 0);
+        write.coord = coord;
+        return write;
+    });
+    const transition = new TapeOperation(type, data, 0, true, writes);
+    transition.coord = coord;
+    return transition;
+}
+
+// Execute a tape from an empty machine (or continue on `machine`)
+function runTape(tapeOperations, machine = new TapeMachine()) {
+    return machine.run(tapeOperations);
+}
+
+// Reproduce a symbol's value from its tape alone; accepts a symbol or a list of operations
+function replayTape(source) {
+    if (source instanceof VibeSymbol && !authorize(source, 'read', 'replayTape')) {
+        console.warn('Replay blocked: insufficient capabilities');
+        return undefined;
+    }
+    const operations = source instanceof VibeSymbol ? source.tapeOperations : source;
+    touchTape(operations);
+    return runTape(operations).read(0);
+}
+
+function serializeTape(tapeOperations) {
+    return JSON.stringify(tapeOperations.map(op => op.toJSON()));
+}
+
+function deserializeTape(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    return data.map(op => TapeOperation.fromJSON(op));
+}
+
+// ============= TAPE PRUNING =============
+
+// Pruning folds the oldest part of a tape into one checkpoint write of the value it produced,
+// so the tape still replays to the same value and stays in temporal order. A strategy scores
+// every operation and says which it would keep; the tape is folded up to the last operation it
+// would drop. Two limits are never crossed: operations needed to revert the last `retainDepth`
+// versions (the retained window) and control operations (moves, marks, jumps) stay as they are.
+
+const PRUNING_STRATEGIES = new Map(); // name -> { score(symbol, config) -> [{ keep, score, components }], shouldPrune? }
+
+function registerPruningStrategy(name, strategy) {
+    PRUNING_STRATEGIES.set(name, typeof strategy === 'function' ? { score: strategy } : strategy);
+}
+
+// Paths of the value an operation writes ('' is the whole value)
+function writtenPaths(operation) {
+    if (operation.operations) return operation.operations.flatMap(writtenPaths);
+    if (operation.type !== 'write' && operation.type !== 'restore') return [];
+    return [operation.data && typeof operation.data.op === 'string' ? operation.data.path : ''];
+}
+
+function coversPath(prefix, path) {
+    return prefix === '' || path === prefix || path.startsWith(`${prefix}/`);
+}
+
+// Writes of the operation at `index` that no later operation overwrites
+function liveWrites(tape, index) {
+    const later = tape.slice(index + 1).flatMap(writtenPaths);
+    return writtenPaths(tape[index]).filter(path => !later.some(prefix => coversPath(prefix, path)));
+}
+
+function keepNewest(config) {
+    return Math.floor(config.maxTapeLength * 0.8);
+}
+
+registerPruningStrategy('relevance', (symbol, config) => {
+    const tape = symbol.tapeOperations;
+    const entries = tape.map((op, index) => {
+        const components = symbol.relevanceComponents(op, index);
+        return { components, score: Object.values(components).reduce((sum, part) => sum + part, 0) };
+    });
+    const ranked = entries.map((entry, index) => ({ index, score: entry.score })).sort((a, b) => b.score - a.score);
+    const kept = new Set(ranked.slice(0, keepNewest(config)).map(entry => entry.index));
+    return entries.map((entry, index) => ({ ...entry, keep: kept.has(index) }));
+});
+
+registerPruningStrategy('recency', (symbol, config) => {
+    const tape = symbol.tapeOperations;
+    return tape.map((op, index) => {
+        const age = tape.length - 1 - index;
+        return { keep: age < keepNewest(config), score: -age, components: { age } };
+    });
+});
+
+// True causal dependencies: an operation matters while the current value still holds something
+// it wrote; overwritten operations can be folded
+registerPruningStrategy('causal', symbol => symbol.tapeOperations.map((op, index) => {
+    const live = liveWrites(symbol.tapeOperations, index).length;
+    return { keep: live > 0, score: live, components: { liveWrites: live, writes: writtenPaths(op).length } };
+}));
+
+registerPruningStrategy('size', {
+    shouldPrune: (symbol, config) => serializeTape(symbol.tapeOperations).length > config.sizeBudget,
+    score: (symbol, config) => {
+        let newer = 0;
+        return symbol.tapeOperations.map(op => serializeTape([op]).length).reverse().map(bytes => {
+            newer += bytes;
+            return { keep: newer <= config.sizeBudget, score: -newer, components: { bytes, bytesToEnd: newer } };
+        }).reverse();
+    }
+});
+
+// Least recently replayed first: replaying or rewinding a tape touches its operations
+registerPruningStrategy('lru', (symbol, config) => symbol.tapeOperations.map(op => {
+    const lastAccess = op.lastAccess ?? op.coord;
+    const idle = symbol.space.coord - lastAccess;
+    return { keep: idle <= config.accessWindow, score: -idle, components: { lastAccess, idle } };
+}));
+
+function touchTape(tapeOperations) {
+    tapeOperations.forEach(op => { op.lastAccess = CURRENT_SPACE.coord; });
+}
+
+// First tape index that reverting `retainDepth` versions of `symbol` needs unchanged
+function retainedWindowStart(symbol, config) {
+    const tape = symbol.tapeOperations;
+    const depth = Math.min(config.retainDepth ?? Infinity, symbol.history.length);
+    if (depth === 0) return tape.length;
+    const hash = symbol.history[symbol.history.length - depth];
+    const entry = symbol.patchHistory.find(patch => patch.hash === hash) || symbol.space.symbols.get(hash);
+    if (!entry) return 0; // Unknown ancestry: keep everything
+    const index = tape.findIndex(op => op.coord > entry.coord);
+    return index === -1 ? tape.length : index;
+}
+
+function planPruning(symbol) {
+    const config = symbol.space.config;
+    const strategy = PRUNING_STRATEGIES.get(config.strategy);
+    if (!strategy) throw new Error(`Unknown pruning strategy: ${config.strategy}`);
+    
+    const tape = symbol.tapeOperations;
+    const entries = strategy.score(symbol, config);
+    const windowStart = retainedWindowStart(symbol, config);
+    const control = tape.findIndex(op => ['move', 'mark', 'unmark', 'jump'].includes(op.type));
+    const dropped = entries.reduce((last, entry, index) => (entry.keep ? last : index), -1);
+    let cut = Math.min(dropped + 1, windowStart, control === -1 ? tape.length : control);
+    if (cut < 2) cut = 0; // Folding a single operation changes nothing
+    
+    return {
+        strategy: config.strategy,
+        triggered: strategy.shouldPrune ? strategy.shouldPrune(symbol, config) : tape.length > config.maxTapeLength,
+        length: tape.length,
+        cut,
+        windowStart,
+        operations: entries.map((entry, index) => ({
+            index,
+            type: tape[index].type,
+            coord: tape[index].coord,
+            score: entry.score,
+            components: entry.components,
+            keep: entry.keep,
+            status: index < cut ? 'folded' : (index >= windowStart ? 'window' : 'kept')
+        }))
+    };
+}
+
+// The checkpoint that replaces `operations` (a tape prefix): one write of the value they produce
+function foldTape(operations) {
+    const value = cloneValue(runTape(operations).read(0));
+    const folded = operations.reduce((count, op) => count + ((op.data && op.data.folded) || 1), 0);
+    const checkpoint = new TapeOperation('write', { op: 'add', path: '', value, folded }, 0);
+    checkpoint.coord = operations[operations.length - 1].coord;
+    return checkpoint;
+}
+
+// Report of what pruning `symbol`'s tape would do: per operation its score components, whether
+// the strategy keeps it and whether it is folded, kept or inside the retained window
+function explainPruning(symbol) {
+    return planPruning(symbol);
+}
+
+// The part of `tape` written up to `coord`, or a fresh write of `value` when that part was
+// folded into a later checkpoint
+function tapeUntil(tape, coord, value) {
+    const end = tape.findIndex(op => op.coord > coord);
+    const prefix = end === -1 ? tape.slice() : tape.slice(0, end);
+    if (prefix.length > 0) return prefix;
+    const write = new TapeOperation('write', { op: 'add', path: '', value }, 0);
+    write.coord = coord;
+    return [write];
 }
 
 // ============= VIBE SYMBOL: UNIVERSAL DATA CONTAINER =============
 
 class VibeSymbol {
-    constructor(value, capabilities = null) {
+    // `identity` ({ hash, coord }) restores a version that existed before, e.g. an ancestor
+    // rebuilt from patches; new symbols omit it and take the next temporal coordinate
+    constructor(value, capabilities = null, identity = null) {
+        const space = CURRENT_SPACE;
+        Object.defineProperty(this, 'space', { value: space }); // Not part of the symbol's data
         this.value = value;
-        this.hash = vibeHash(typeof value, JSON.stringify(value));
-        this.capabilities = capabilities || new Set([new VibeToken()]);
-        this.coord = temporalCoord++;
+        this.capabilities = capabilities || new Set([space.ownerToken()]); // Owner token, never expires
+        this.coord = identity ? identity.coord : space.coord++;
+        // CONTENT ADDRESSING: contentHash names the value, hash names this version of it,
+        // so equal values created at different coords keep distinct lineage
+        this.contentHash = computeContentHash(value);
+        this.hash = identity ? identity.hash : vibeHash(this.contentHash, this.coord);
         this.history = [];
+        this.patchHistory = []; // Per ancestor in `history`: { hash, coord, tapeLength, patch }
         this.snapshot = null;
         this.inverse = null;
         this.parentHash = null;
@@ -130,7 +914,10 @@ class VibeSymbol {
         // INHERITED FROM TAPE-LOOP LAYER: Homoiconicity
         this.structure = this.extractStructure();
         this.sourceCode = this.generateSourceCode();
-        this.tapeOperations = []; // Sequence of tape operations that created this symbol
+        // Sequence of tape operations that created this symbol; it starts by writing the
+        // value into cell 0 and derived versions replace it with their parent's tape
+        this.tapeOperations = [new TapeOperation('write', { op: 'add', path: '', value }, 0)];
+        this.tapeOperations[0].coord = this.coord;
         
         // INHERITED FROM TAPE-LOOP LAYER: Reversibility  
         this.transformationMetadata = {
@@ -141,8 +928,22 @@ class VibeSymbol {
             tapeState: null // Tape state before transformation
         };
         
-        // Register in vibe space
-        VIBE_SPACE.set(this.hash, this);
+        // Register in vibe space (never silently replace another symbol)
+        const existing = space.symbols.get(this.hash);
+        if (existing && existing !== this) {
+            throw new Error(`VIBE_SPACE hash collision: ${this.hash} already names symbol at coord ${existing.coord}`);
+        }
+        space.symbols.set(this.hash, this);
+        if (space.index) space.index.pending.push(this);
+        if (space.timeline) space.timeline.pending.push(this);
+        if (space.transaction && !identity) space.transaction.staged.add(this); // Listeners run on commit
+        else space.listeners.forEach(listener => listener(this));
+        if (space.config.collectEvery) scheduleCollection(space);
+    }
+    
+    // CONTENT ADDRESSING: Detect values mutated in place after the hash was taken
+    verifyContentHash() {
+        return computeContentHash(this.value) === this.contentHash;
     }
     
     detectVibeType() {
@@ -166,6 +967,26 @@ class VibeSymbol {
         return 'PRIMITIVE';
     }
     
+    canPerform(requiredPerms) {
+        return Array.from(this.capabilities).some(cap => 
+            cap instanceof VibeToken && cap.check(requiredPerms, this) === null
+        );
+    }
+    
+    getVibeEmoji() {
+        const cap = Array.from(this.capabilities)[0];
+        const typeEmoji = {
+            'FUNCTION': '⚡',
+            'ACTOR': '🎭',
+            'ACTOR_INSTANCE': '🎭',
+            'PROTOTYPE': '🏗️',
+            'PROTOTYPE_INSTANCE': '🧱',
+            'OBJECT': '💎',
+            'PRIMITIVE': '💎'
+        };
+        return (typeEmoji[this.vibeType] || '💎') + (cap && cap.getVibeEmoji ? cap.getVibeEmoji() : '');
+    }
+    
     // HOMOICONICITY: Extract structural representation
     extractStructure() {
         if (typeof this.value === 'function') {
@@ -199,9 +1020,9 @@ class VibeSymbol {
         if (typeof this.value === 'function') {
             return `createVibeSymbol(${this.value.toString()})`;
         } else if (this.value && typeof this.value === 'object') {
-            return `createVibeSymbol(${JSON.stringify(this.value, null, 2)})`;
+            return `createVibeSymbol(${safeStringify(this.value, 2)})`;
         } else {
-            return `createVibeSymbol(${JSON.stringify(this.value)})`;
+            return `createVibeSymbol(${safeStringify(this.value)})`;
         }
     }
     
@@ -217,219 +1038,719 @@ class VibeSymbol {
     
     // REVERSIBILITY: Execute structural revert
     executeStructuralRevert() {
-        if (!this.transformationMetadata.structuralDiff) {
+        const diff = this.transformationMetadata.structuralDiff;
+        if (!diff || !diff.patch) {
             console.warn('No structural diff available for revert');
             return this;
         }
         
-        const diff = this.transformationMetadata.structuralDiff;
-        let revertedValue = {...this.value};
-        
-        // Reverse structural additions
-        if (diff.additions) {
-            diff.additions.forEach(path => {
-                delete revertedValue[path];
-            });
-        }
-        
-        // Reverse structural removals
-        if (diff.removals) {
-            diff.removals.forEach(({path, value}) => {
-                revertedValue[path] = value;
-            });
-        }
-        
-        // Reverse structural modifications
-        if (diff.modifications) {
-            diff.modifications.forEach(({path, oldValue}) => {
-                revertedValue[path] = oldValue;
-            });
-        }
-        
-        return new VibeSymbol(revertedValue, this.capabilities);
+        const revertedValue = applyPatch(this.value, invertPatch(diff.patch));
+        return inSpace(this.space, () => new VibeSymbol(revertedValue, this.capabilities));
     }
     
-    // SELF-MODIFICATION: Modify symbol while preserving homoiconicity
+    // SELF-MODIFICATION: Derive the next version from a function of the current value; as with
+    // vibeTransform, the symbol itself is left unchanged
     modifySelf(transformation) {
-        const tapeOp = new TapeOperation('write', transformation, this.coord);
-        this.tapeOperations.push(tapeOp);
-        
-        // Apply transformation while tracking structural changes
-        const oldStructure = this.extractStructure();
-        this.value = transformation(this.value);
-        const newStructure = this.extractStructure();
-        
-        // Update homoiconic representations
-        this.structure = newStructure;
-        this.sourceCode = this.generateSourceCode();
+        const home = foreignSpace(this);
+        if (home) return inSpace(home, () => this.modifySelf(transformation));
+        if (!authorize(this, 'write', 'modifySelf')) {
+            console.warn('Self-modification blocked: insufficient capabilities');
+            return this;
+        }
         
-        // Record structural diff for reversibility
-        this.transformationMetadata.structuralDiff = this.computeStructuralDiff(oldStructure, newStructure);
+        // Record the writes it amounts to on the tape, and the structural diff for reversibility
+        const modified = new VibeSymbol(transformation(cloneValue(this.value)), this.capabilities);
+        const patch = linkLineage(modified, this);
+        modified.tapeOperations = [
+            ...this.tapeOperations,
+            recordTransition('modify', { input: this.hash, output: modified.hash }, patch, modified.coord)
+        ];
+        modified.transformationMetadata.structuralDiff = summarizePatch(patch);
+        publishVersion(this, modified);
+        traceEvent('modifySelf', { input: this, output: modified });
+        return modified;
+    }
+    
+    // SELF-MODIFICATION: Rewrite the symbol's source code and evaluate it into a new version
+    modifySource(transformation) {
+        const home = foreignSpace(this);
+        if (home) return inSpace(home, () => this.modifySource(transformation));
+        if (!authorize(this, 'write', 'modifySource')) {
+            console.warn('Self-modification blocked: insufficient capabilities');
+            return this;
+        }
+        const newCode = transformation(this.sourceCode);
         
-        return this;
+        try {
+            // Rewritten source is evaluated in a sandbox, and what it defines keeps running there
+            const sandbox = this.sandbox || sourceSandbox();
+            const newValue = sandbox.evaluate(newCode.replace(/^createVibeSymbol\(([\s\S]*)\)$/, '$1'), { symbol: this });
+            const modified = new VibeSymbol(newValue, this.capabilities);
+            modified.sandbox = sandbox;
+            const patch = linkLineage(modified, this);
+            modified.tapeOperations = [
+                ...this.tapeOperations,
+                recordTransition('modify', { input: this.hash, output: modified.hash }, patch, modified.coord)
+            ];
+            modified.transformationMetadata.structuralDiff = summarizePatch(patch);
+            publishVersion(this, modified);
+            traceEvent('modifySource', { input: this, output: modified });
+            return modified;
+        } catch (e) {
+            console.warn('Self-modification failed:', e);
+            return this;
+        }
     }
     
-    // Memory as computation: Prune tape operations based on causal relevance
+    // Memory as computation: fold the tape's causally irrelevant past into a checkpoint,
+    // as chosen by the space's pruning strategy (see TAPE PRUNING)
     pruneTapeOperations() {
-        if (this.tapeOperations.length <= TAPE_PRUNING_CONFIG.maxTapeLength) return;
-        
-        const scored = this.tapeOperations.map((op, index) => ({
-            op,
-            index,
-            relevance: this.computeCausalRelevance(op, index)
-        }));
-        
-        // Keep the most causally relevant operations
-        scored.sort((a, b) => b.relevance - a.relevance);
-        const keepCount = Math.floor(TAPE_PRUNING_CONFIG.maxTapeLength * 0.8);
-        const toKeep = scored.slice(0, keepCount).map(item => item.op);
+        const config = this.space.config;
+        const strategy = PRUNING_STRATEGIES.get(config.strategy);
+        const triggered = strategy && strategy.shouldPrune
+            ? strategy.shouldPrune(this, config)
+            : this.tapeOperations.length > config.maxTapeLength;
+        if (!triggered) return;
         
-        this.tapeOperations = toKeep;
-        console.log(`Pruned tape operations from ${scored.length} to ${toKeep.length}`);
+        const { cut } = planPruning(this);
+        if (cut === 0) return;
+        this.tapeOperations = [foldTape(this.tapeOperations.slice(0, cut)), ...this.tapeOperations.slice(cut)];
     }
     
     computeCausalRelevance(operation, index) {
-        const age = this.tapeOperations.length - index;
-        const temporalDecay = Math.exp(-age * TAPE_PRUNING_CONFIG.temporalDecayFactor);
-        
-        const structuralRelevance = this.isOperationStructurallyRelevant(operation) ? 1 : 0;
-        const causalAncestry = this.isInCausalAncestry(operation) ? 1 : 0;
-        const dependencyRelevance = this.isDependentOperation(operation) ? 1 : 0;
-        
-        return temporalDecay + 
-               (structuralRelevance * TAPE_PRUNING_CONFIG.structuralRelevanceThreshold) +
-               (causalAncestry * TAPE_PRUNING_CONFIG.causalAncestryWeight) +
-               (dependencyRelevance * TAPE_PRUNING_CONFIG.dependencyRelevanceWeight);
+        return Object.values(this.relevanceComponents(operation, index)).reduce((sum, part) => sum + part, 0);
+    }
+    
+    // Weighted parts of the 'relevance' strategy's score
+    relevanceComponents(operation, index) {
+        const config = this.space.config;
+        const age = this.tapeOperations.length - 1 - index;
+        return {
+            temporalDecay: Math.exp(-age * config.temporalDecayFactor),
+            structural: this.isOperationStructurallyRelevant(operation, index) ? config.structuralRelevanceThreshold : 0,
+            causalAncestry: this.isInCausalAncestry(operation) ? config.causalAncestryWeight : 0,
+            dependency: this.isDependentOperation(operation, index) ? config.dependencyRelevanceWeight : 0
+        };
     }
     
-    isOperationStructurallyRelevant(operation) {
-        // Operations that directly modified current structure are relevant
-        return operation.type === 'write' && 
-               JSON.stringify(operation.data).includes(JSON.stringify(this.value).slice(0, 20));
+    isOperationStructurallyRelevant(operation, index = this.tapeOperations.indexOf(operation)) {
+        // Operations that wrote something the current value still holds
+        return index !== -1 && liveWrites(this.tapeOperations, index).length > 0;
     }
     
     isInCausalAncestry(operation) {
         // Operations that led to this symbol's creation
-        return operation.position <= this.coord;
+        return operation.coord <= this.coord;
     }
     
-    isDependentOperation(operation) {
-        // Operations that other recent operations depend on
-        const recentOps = this.tapeOperations.slice(-10);
-        return recentOps.some(recentOp => 
-            recentOp.data && operation.data && 
-            JSON.stringify(recentOp.data).includes(JSON.stringify(operation.data))
+    isDependentOperation(operation, index = this.tapeOperations.indexOf(operation)) {
+        // Operations that a later operation builds on: it writes inside what this one wrote
+        const paths = writtenPaths(operation);
+        return this.tapeOperations.slice(index + 1).some(later =>
+            writtenPaths(later).some(path => paths.some(prefix => prefix !== path && coversPath(prefix, path)))
         );
     }
     
-    computeStructuralDiff(oldStructure, newStructure) {
-        const diff = {
-            additions: [],
-            removals: [],
-            modifications: []
-        };
-        
-        // Find additions and modifications
-        for (const [key, value] of Object.entries(newStructure)) {
-            if (!(key in oldStructure)) {
-                diff.additions.push(key);
-            } else if (JSON.stringify(oldStructure[key]) !== JSON.stringify(value)) {
-                diff.modifications.push({
-                    path: key,
-                    oldValue: oldStructure[key],
-                    newValue: value
-                });
-            }
-        }
-        
-        // Find removals
-        for (const [key, value] of Object.entries(oldStructure)) {
-            if (!(key in newStructure)) {
-                diff.removals.push({path: key, value});
-            }
-        }
-        
-        return diff;
+    // Deep diff between two values, grouped by kind (see STRUCTURAL DIFF / PATCH ENGINE)
+    computeStructuralDiff(oldValue, newValue) {
+        return summarizePatch(diffValues(oldValue, newValue));
     }
 }
 
-// ============= CORE TRANSFORMATION FUNCTIONS =============
+// ============= VIBE SPACES =============
 
+// A space is an isolated runtime: its own symbol table, temporal coordinate, listeners, tape
+// pruning config, capability audit and capability root. Symbols are registered in the current
+// space, and entry points that take a symbol run in that symbol's space, so new versions land
+// next to their ancestors. The free functions work on the default space (whose symbol table is
+// VIBE_SPACE); createVibeSpace() returns a space with the same functions bound to it.
+
+class VibeSpace {
+    // `options.permissions` bounds the owner token of every symbol created in the space
+    constructor(options = {}) {
+        this.name = options.name || 'space';
+        this.listeners = new Set(); // Called with each symbol registered in this space
+        this.config = { ...TAPE_PRUNING_CONFIG, ...options.config };
+        this.schedulers = new Set(); // Their spawned actors are roots
+        this.symbols = new Map();
+        this.reset();
+        this.coord = options.coord || 0;
+        this.root = inSpace(this, () => new VibeToken(options.permissions ?? 0b1111, null));
+        SPACE_BOUND_API.forEach(fn => {
+            this[fn.name] = (...args) => inSpace(this, () => fn(...args));
+        });
+    }
+    
+    // Empty the space: its symbols, coordinate and all state kept about them. Listeners, config,
+    // schedulers and the capability root stay
+    reset() {
+        this.symbols.clear(); // Cleared in place: VIBE_SPACE is the default space's table
+        this.coord = 0;
+        this.audit = [];
+        this.retained = new Map(); // Pinned roots by name
+        this.registered = 0; // Symbols registered since the last collection
+        this.provenance = null; // ProvenanceIndex, built on demand
+        this.branches = new Map(); // Timeline name -> head symbol
+        this.currentBranch = null;
+        this.subscriptions = new Map(); // Lineage -> Set of { callback, derived }
+        this.heads = new Map(); // Lineage -> newest version, for subscribed lineages
+        this.derived = new Set(); // Live DerivedSymbols
+        this.propagation = null; // { changed, depth } while versions are being propagated
+        this.transaction = null; // { id, coord, staged, denied } while vibeTransaction runs
+        this.index = null; // SymbolIndex, built by the first query
+        this.timeline = null; // SpaceTimeline, built by the first spaceAt
+        this.debugger = null; // VibeDebugger while startDebugger records
+    }
+    
+    get size() {
+        return this.symbols.size;
+    }
+    
+    get(hash) {
+        return this.symbols.get(hash);
+    }
+    
+    has(hash) {
+        return this.symbols.has(hash);
+    }
+    
+    // Run `fn` with this space current, e.g. to create schedulers and supervisors in it
+    run(fn) {
+        return inSpace(this, fn);
+    }
+    
+    // The owner token a new symbol receives: all of the root's permissions, delegated from it
+    ownerToken() {
+        return new VibeToken(this.root.permissions, null, 1.0, { parent: this.root });
+    }
+}
+
+// Free functions that become methods of every space
+const SPACE_BOUND_API = [
+    createVibeSymbol, createVibeFunction, createVibeActor, createVibePrototype,
+    vibeTransform, vibeRevert, vibeRevertWithTape, sendMessage, stepActor, instantiate, callMethod, callSuper,
+    replayTape, persistSpace, restoreSpace, attachStorage, deserializeSymbol,
+    getVibeSpace, clearVibeSpace, getTemporalCoord, pruneGlobalTapeSpace, findByContentHash,
+    getCapabilityAudit, clearCapabilityAudit, createVibeId, recordSession,
+    retainSymbol, releaseSymbol, collectGarbage, getProvenance,
+    fork, merge, checkout, listBranches, deleteBranch, subscribe, derive, batch, vibeTransaction,
+    querySymbols, spaceAt, diffSpaces, startDebugger
+];
+
+function createVibeSpace(options = {}) {
+    return new VibeSpace(options);
+}
+
+function getCurrentSpace() {
+    return CURRENT_SPACE;
+}
+
+function inSpace(space, fn) {
+    const previous = CURRENT_SPACE;
+    CURRENT_SPACE = space;
+    try {
+        return fn();
+    } finally {
+        CURRENT_SPACE = previous;
+    }
+}
+
+// The space `symbol` belongs to when it is not the current one, else null
+function foreignSpace(symbol) {
+    const space = symbol instanceof VibeSymbol ? symbol.space : null;
+    return space && space !== CURRENT_SPACE ? space : null;
+}
+
+const DEFAULT_SPACE = new VibeSpace({ name: 'default' });
+DEFAULT_SPACE.config = TAPE_PRUNING_CONFIG; // Edits to the exported config keep applying
+CURRENT_SPACE = DEFAULT_SPACE;
+const VIBE_SPACE = DEFAULT_SPACE.symbols;
+
+// ============= STRUCTURAL DIFF / PATCH ENGINE =============
+
+// Deep, path-based diffs in JSON-Patch form. Every operation carries what it replaced
+// (`oldValue`), so a patch can be inverted and an ancestor rebuilt without the parent symbol:
+//   { op: 'add', path, value } | { op: 'remove', path, oldValue }
+//   { op: 'replace', path, value, oldValue } | { op: 'move', from, path }
+// Paths are JSON Pointers ('/users/0/name'); '' is the whole value. Plain objects and arrays
+// are diffed recursively, everything else (functions, Maps, symbols, ...) is an atomic value.
+
+const ARRAY_LCS_LIMIT = 250000; // Beyond n*m cells, unmatched array middles pair up by position
+
+function isPlainContainer(value) {
+    if (Array.isArray(value)) return true;
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function encodePathSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parsePath(path) {
+    if (path === '') return [];
+    if (path[0] !== '/') throw new Error(`Invalid patch path: ${path}`);
+    return path.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function diffValues(oldValue, newValue, path = '', ancestors = []) {
+    if (Object.is(oldValue, newValue)) return [];
+    
+    const bothArrays = Array.isArray(oldValue) && Array.isArray(newValue);
+    const bothObjects = isPlainContainer(oldValue) && isPlainContainer(newValue) &&
+        !Array.isArray(oldValue) && !Array.isArray(newValue);
+    
+    // Cycles are compared by reference only
+    if ((!bothArrays && !bothObjects) || ancestors.includes(oldValue)) {
+        return [{ op: 'replace', path, value: cloneValue(newValue), oldValue: cloneValue(oldValue) }];
+    }
+    
+    const nested = [...ancestors, oldValue];
+    if (bothArrays) return diffArrays(oldValue, newValue, path, nested);
+    
+    const ops = [];
+    for (const key of Object.keys(oldValue)) {
+        if (!(key in newValue)) {
+            ops.push({ op: 'remove', path: `${path}/${encodePathSegment(key)}`, oldValue: cloneValue(oldValue[key]) });
+        }
+    }
+    for (const key of Object.keys(newValue)) {
+        const childPath = `${path}/${encodePathSegment(key)}`;
+        if (!(key in oldValue)) {
+            ops.push({ op: 'add', path: childPath, value: cloneValue(newValue[key]) });
+        } else {
+            ops.push(...diffValues(oldValue[key], newValue[key], childPath, nested));
+        }
+    }
+    return ops;
+}
+
+// Align elements (common prefix/suffix, LCS, then moves), pair leftover elements in the
+// same gap as in-place modifications, and emit operations valid in sequence.
+function diffArrays(oldArr, newArr, path, ancestors) {
+    const oldKeys = oldArr.map(item => canonicalize(item));
+    const newKeys = newArr.map(item => canonicalize(item));
+    const oldMatch = new Array(oldArr.length).fill(-1); // old index -> new index
+    const newMatch = new Array(newArr.length).fill(-1); // new index -> old index
+    const modified = new Set(); // new indices paired with a different old element
+    
+    let start = 0;
+    while (start < oldArr.length && start < newArr.length && oldKeys[start] === newKeys[start]) {
+        oldMatch[start] = start;
+        newMatch[start] = start;
+        start++;
+    }
+    let oldEnd = oldArr.length;
+    let newEnd = newArr.length;
+    while (oldEnd > start && newEnd > start && oldKeys[oldEnd - 1] === newKeys[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+        oldMatch[oldEnd] = newEnd;
+        newMatch[newEnd] = oldEnd;
+    }
+    
+    // Longest common subsequence over the middle section
+    const n = oldEnd - start;
+    const m = newEnd - start;
+    if (n > 0 && m > 0 && n * m <= ARRAY_LCS_LIMIT) {
+        const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i][j] = oldKeys[start + i] === newKeys[start + j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+        for (let i = 0, j = 0; i < n && j < m;) {
+            if (oldKeys[start + i] === newKeys[start + j]) {
+                oldMatch[start + i] = start + j;
+                newMatch[start + j] = start + i;
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+    
+    // Identical elements that changed position become moves
+    const unmatchedOld = new Map();
+    oldKeys.forEach((key, i) => {
+        if (oldMatch[i] !== -1) return;
+        if (!unmatchedOld.has(key)) unmatchedOld.set(key, []);
+        unmatchedOld.get(key).push(i);
+    });
+    newKeys.forEach((key, j) => {
+        if (newMatch[j] !== -1 || !unmatchedOld.has(key)) return;
+        const i = unmatchedOld.get(key).shift();
+        if (unmatchedOld.get(key).length === 0) unmatchedOld.delete(key);
+        oldMatch[i] = j;
+        newMatch[j] = i;
+    });
+    
+    // Remaining elements between the same aligned neighbours are modifications
+    let lastOld = -1;
+    let pendingOld = [];
+    const flushGap = (newIndices) => {
+        newIndices.forEach((j, k) => {
+            if (k >= pendingOld.length) return;
+            oldMatch[pendingOld[k]] = j;
+            newMatch[j] = pendingOld[k];
+            modified.add(j);
+        });
+        pendingOld = [];
+    };
+    let pendingNew = [];
+    for (let j = 0; j <= newArr.length; j++) {
+        const anchor = j < newArr.length ? newMatch[j] : oldArr.length;
+        if (j < newArr.length && anchor === -1) {
+            pendingNew.push(j);
+            continue;
+        }
+        if (anchor > lastOld) {
+            for (let i = lastOld + 1; i < anchor; i++) {
+                if (oldMatch[i] === -1) pendingOld.push(i);
+            }
+            lastOld = anchor;
+        }
+        flushGap(pendingNew);
+        pendingNew = [];
+    }
+    
+    const ops = [];
+    
+    // 1. Remove old elements that survive nowhere (highest index first keeps indices stable)
+    const work = [];
+    for (let i = oldArr.length - 1; i >= 0; i--) {
+        if (oldMatch[i] === -1) {
+            ops.push({ op: 'remove', path: `${path}/${i}`, oldValue: cloneValue(oldArr[i]) });
+        }
+    }
+    oldArr.forEach((item, i) => {
+        if (oldMatch[i] !== -1) work.push(i);
+    });
+    
+    // 2. Build the target left to right: insert new elements, move displaced ones, recurse into modified
+    for (let j = 0; j < newArr.length; j++) {
+        const source = newMatch[j];
+        if (source === -1) {
+            ops.push({ op: 'add', path: `${path}/${j}`, value: cloneValue(newArr[j]) });
+            work.splice(j, 0, null);
+            continue;
+        }
+        const current = work.indexOf(source, j);
+        if (current !== j) {
+            ops.push({ op: 'move', from: `${path}/${current}`, path: `${path}/${j}` });
+            work.splice(current, 1);
+            work.splice(j, 0, source);
+        }
+        if (modified.has(j)) {
+            ops.push(...diffValues(oldArr[source], newArr[j], `${path}/${j}`, ancestors));
+        }
+    }
+    
+    return ops;
+}
+
+function readPath(value, segments) {
+    let current = value;
+    for (const segment of segments) {
+        if (current === null || current === undefined) {
+            throw new Error(`Patch path not found: /${segments.join('/')}`);
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+// Copy containers along the path so the input value is never mutated
+function withUpdatedPath(value, segments, update) {
+    if (segments.length === 0) return update(value);
+    
+    const [head, ...rest] = segments;
+    if (value === null || typeof value !== 'object') {
+        throw new Error(`Patch path not found at '${head}'`);
+    }
+    const copy = Array.isArray(value) ? value.slice() : Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+    if (rest.length === 0) {
+        update(copy, head);
+        return copy;
+    }
+    copy[head] = withUpdatedPath(value[head], rest, update);
+    return copy;
+}
+
+function applyOperation(value, operation) {
+    const segments = parsePath(operation.path);
+    
+    switch (operation.op) {
+        case 'add':
+        case 'replace': {
+            const inserted = cloneValue(operation.value);
+            if (segments.length === 0) return inserted;
+            return withUpdatedPath(value, segments, (parent, key) => {
+                if (Array.isArray(parent)) {
+                    const index = key === '-' ? parent.length : Number(key);
+                    if (operation.op === 'add') parent.splice(index, 0, inserted);
+                    else parent[index] = inserted;
+                } else {
+                    parent[key] = inserted;
+                }
+            });
+        }
+        case 'remove':
+            if (segments.length === 0) return undefined;
+            return withUpdatedPath(value, segments, (parent, key) => {
+                if (Array.isArray(parent)) parent.splice(Number(key), 1);
+                else delete parent[key];
+            });
+        case 'move': {
+            const moved = readPath(value, parsePath(operation.from));
+            const removed = applyOperation(value, { op: 'remove', path: operation.from });
+            return applyOperation(removed, { op: 'add', path: operation.path, value: moved });
+        }
+        default:
+            throw new Error(`Unknown patch operation: ${operation.op}`);
+    }
+}
+
+function applyPatch(value, patch) {
+    return patch.reduce(applyOperation, value);
+}
+
+function invertPatch(patch) {
+    return patch.slice().reverse().map(operation => {
+        switch (operation.op) {
+            case 'add': return { op: 'remove', path: operation.path, oldValue: operation.value };
+            case 'remove': return { op: 'add', path: operation.path, value: operation.oldValue };
+            case 'replace': return { op: 'replace', path: operation.path, value: operation.oldValue, oldValue: operation.value };
+            case 'move': return { op: 'move', from: operation.path, path: operation.from };
+            default: throw new Error(`Unknown patch operation: ${operation.op}`);
+        }
+    });
+}
+
+// Grouped view of a patch, kept as `transformationMetadata.structuralDiff`
+function summarizePatch(patch) {
+    return {
+        patch,
+        additions: patch.filter(op => op.op === 'add').map(op => op.path),
+        removals: patch.filter(op => op.op === 'remove').map(op => ({ path: op.path, value: op.oldValue })),
+        modifications: patch.filter(op => op.op === 'replace').map(op => ({ path: op.path, oldValue: op.oldValue, newValue: op.value })),
+        moves: patch.filter(op => op.op === 'move').map(op => ({ from: op.from, path: op.path }))
+    };
+}
+
+// Link a derived version to its parent: lineage hashes plus the patch that leads from the
+// parent's value to the child's, so ancestors can be rebuilt from patches alone
+function linkLineage(child, parent) {
+    const patch = diffValues(parent.value, child.value);
+    child.parentHash = parent.hash;
+    child.history = [...parent.history, parent.hash];
+    child.patchHistory = [...parent.patchHistory, {
+        hash: parent.hash,
+        coord: parent.coord,
+        tapeLength: parent.tapeOperations.length,
+        patch
+    }];
+    return patch;
+}
+
+// Rebuild the parent of `symbol` under its original identity by inverting the last patch
+function reconstructParent(symbol) {
+    const entry = symbol.patchHistory[symbol.patchHistory.length - 1];
+    if (!entry || entry.hash !== symbol.history[symbol.history.length - 1]) return null;
+    
+    const value = applyPatch(symbol.value, invertPatch(entry.patch));
+    if (vibeHash(computeContentHash(value), entry.coord) !== entry.hash) {
+        console.warn(`Cannot reconstruct ${entry.hash}: patched value does not match its hash`);
+        return null;
+    }
+    
+    const depth = symbol.patchHistory.length - 1;
+    const parent = new VibeSymbol(value, symbol.capabilities, { hash: entry.hash, coord: entry.coord });
+    parent.history = symbol.history.slice(0, depth);
+    parent.parentHash = depth > 0 ? parent.history[depth - 1] : null;
+    parent.patchHistory = symbol.patchHistory.slice(0, depth);
+    parent.tapeOperations = tapeUntil(symbol.tapeOperations, entry.coord, value);
+    touchTape(parent.tapeOperations);
+    if (depth > 0) {
+        parent.transformationMetadata.structuralDiff = summarizePatch(symbol.patchHistory[depth - 1].patch);
+        parent.transformationMetadata.operands = [parent.parentHash];
+    }
+    return parent;
+}
+
+// ============= CORE TRANSFORMATION FUNCTIONS =============
+
+// Two transformation styles share one entry point:
+//   vibeTransform(symbol, { operation })      - descriptor object (library style)
+//   vibeTransform(symbol, functionVibeSymbol) - function vibe from createVibeFunction (IDE style)
 function vibeTransform(symbol, transformation) {
+    const home = foreignSpace(symbol);
+    if (home) return inSpace(home, () => vibeTransform(symbol, transformation));
     // Capability check
-    const hasWritePermission = Array.from(symbol.capabilities).some(token => 
-        token instanceof VibeToken && token.can('write')
-    );
-    
-    if (!hasWritePermission) {
+    if (!authorize(symbol, 'write', 'vibeTransform')) {
         console.warn('Transformation blocked: insufficient capabilities');
         return symbol;
     }
     
-    // Create tape operation for this transformation
-    const tapeOp = new TapeOperation('transform', transformation, symbol.coord);
+    const isFunctionVibe = transformation instanceof VibeSymbol;
+    if (isFunctionVibe) {
+        // Execute, plus whatever else the function vibe declared (e.g. network)
+        if (!authorize(transformation, (transformation.requiredPerms || 0) | PERMISSION_BITS.execute, 'vibeTransform')) {
+            throw new Error(`Vibe check failed: insufficient permissions 🚫`);
+        }
+        if (typeof transformation.value !== 'function') {
+            throw new Error('Transform must be a function vibe');
+        }
+    }
     
     // Create new symbol with transformation applied
-    let newValue;
-    if (typeof transformation.operation === 'function') {
-        newValue = transformation.operation(symbol.value);
-    } else if (transformation.operation === 'set') {
-        newValue = transformation.value;
-    } else if (transformation.operation === 'merge') {
-        newValue = {...symbol.value, ...transformation.data};
-    } else {
+    const { value: newValue, inputs } = drawnDuring(() => {
+        if (isFunctionVibe) {
+            return runVibeCode(transformation.sandbox, transformation, transformation.value, undefined, [symbol.value]).out;
+        } else if (typeof transformation.operation === 'function') {
+            return runVibeCode(transformation.sandbox, symbol, transformation.operation, transformation, [symbol.value]).out;
+        } else if (transformation.operation === 'set') {
+            return transformation.value;
+        } else if (transformation.operation === 'merge') {
+            return {...symbol.value, ...transformation.data};
+        }
         // Generic transformation
-        newValue = transformation;
-    }
+        return transformation;
+    });
     
     const resultSymbol = new VibeSymbol(newValue, symbol.capabilities);
-    resultSymbol.parentHash = symbol.hash;
-    resultSymbol.history = [...symbol.history, symbol.hash];
-    resultSymbol.tapeOperations = [...symbol.tapeOperations, tapeOp];
+    const patch = linkLineage(resultSymbol, symbol);
+    
+    // Record the concrete writes this transformation performed
+    const description = isFunctionVibe
+        ? { input: symbol.hash, output: resultSymbol.hash, transform: transformation.hash }
+        : {
+            input: symbol.hash,
+            output: resultSymbol.hash,
+            operation: typeof transformation.operation === 'function' ? 'function' : (transformation.operation || 'generic')
+        };
+    if (inputs.length > 0) description.inputs = inputs;
+    resultSymbol.tapeOperations = [
+        ...symbol.tapeOperations,
+        recordTransition('transform', description, patch, resultSymbol.coord)
+    ];
     
     // Store transformation metadata for reversibility
     resultSymbol.transformationMetadata = {
-        operation: transformation,
-        operands: [symbol.hash],
+        operation: isFunctionVibe ? 'vibeTransform' : transformation,
+        operands: isFunctionVibe ? [symbol.hash, transformation.hash] : [symbol.hash],
         inverseOperation: symbol.createStructuralInverse(),
-        structuralDiff: resultSymbol.computeStructuralDiff(symbol.structure, resultSymbol.structure),
+        structuralDiff: summarizePatch(patch),
         tapeState: symbol.tapeOperations.length
     };
     
+    // Attenuate capabilities when the function vibe asks for it
+    if (isFunctionVibe && transformation.capabilityRestrictions) {
+        const newCaps = new Set();
+        for (const cap of symbol.capabilities) {
+            if (cap instanceof VibeToken && cap.check(0, symbol) === null) {
+                newCaps.add(cap.attenuate(transformation.capabilityRestrictions));
+            }
+        }
+        resultSymbol.capabilities = newCaps;
+    }
+    
     // Automatic tape pruning
     resultSymbol.pruneTapeOperations();
     
+    publishVersion(symbol, resultSymbol);
+    sessionEvent('vibeTransform', symbol.hash, resultSymbol.hash);
+    traceEvent('vibeTransform', { input: symbol, output: resultSymbol, name: description.operation || 'vibe' });
     return resultSymbol;
 }
 
 function vibeRevert(symbol, steps = 1) {
+    const home = foreignSpace(symbol);
+    if (home) return inSpace(home, () => vibeRevert(symbol, steps));
+    if (!authorize(symbol, 'read', 'vibeRevert')) {
+        console.warn('Revert blocked: insufficient capabilities');
+        return symbol;
+    }
     if (!symbol.parentHash) {
         console.warn('Cannot revert: no parent hash');
         return symbol;
     }
     
-    if (steps === 1 && VIBE_SPACE.has(symbol.parentHash)) {
-        return VIBE_SPACE.get(symbol.parentHash);
+    if (steps === 1 && CURRENT_SPACE.symbols.has(symbol.parentHash)) {
+        return CURRENT_SPACE.symbols.get(symbol.parentHash);
     }
     
-    // Multi-step revert through history
+    // Multi-step revert through history; ancestors missing from the space are rebuilt from patches
     let current = symbol;
     for (let i = 0; i < steps && current.history.length > 0; i++) {
         const parentHash = current.history[current.history.length - 1];
-        if (VIBE_SPACE.has(parentHash)) {
-            current = VIBE_SPACE.get(parentHash);
-        } else {
-            console.warn(`Cannot revert step ${i + 1}: parent not found in VIBE_SPACE`);
+        const parent = CURRENT_SPACE.symbols.get(parentHash) || reconstructParent(current);
+        if (!parent) {
+            console.warn(`Cannot revert step ${i + 1}: parent not found in the vibe space`);
             break;
         }
+        current = parent;
     }
     
     return current;
 }
 
+// vibeRevert driven by the tape: replays the symbol's tape on a TapeMachine, then executes
+// inverses until the machine is back at each ancestor, checking the value it arrives at
+function vibeRevertWithTape(symbol, steps = 1) {
+    touchTape(symbol.tapeOperations);
+    const machine = runTape(symbol.tapeOperations);
+    let current = symbol;
+    for (let i = 0; i < steps; i++) {
+        const previous = vibeRevert(current, 1);
+        if (previous === current) break; // Can't revert further
+        
+        // Operations are in temporal order, so the ones after the previous version are the newest
+        while (machine.executed.length > 1 && machine.executed[machine.executed.length - 1].operation.coord > previous.coord) {
+            machine.rewind(1);
+        }
+        if (computeContentHash(machine.read(0)) !== previous.contentHash) {
+            console.warn(`Tape rewind does not reproduce ${previous.hash}`);
+        }
+        current = previous;
+    }
+    return current;
+}
+
 // ============= ACTOR/PROTOTYPE SYSTEM =============
 
+// Actors and prototypes come in two calling conventions:
+//   Library style: createVibeActor(name, { state, handlers }) - handlers run with `this` bound to
+//     the actor value; createVibePrototype(name, { methods, properties }) - methods run with `this`
+//     bound to a draft of the instance value and callMethod returns `{ instance, out }`.
+//   IDE style: createVibeActor(handlers, initialState) - pure step handlers `(state, ...args)`;
+//     createVibePrototype(template, methods, parentProto) - methods `(instanceSymbol, ...args)`
+//     returning `{ instance, out }`. These values carry a `kind` ('ACTOR', 'PROTOTYPE', 'INSTANCE').
+
+// Level 1: Function creation with vibe
+function createVibeFunction(fn, options = {}) {
+    const symbol = new VibeSymbol(fn);
+    symbol.vibeType = 'FUNCTION';
+    symbol.requiredPerms = options.requiredPerms || 4; // Execute
+    symbol.inverse = options.inverse || null;
+    symbol.capabilityRestrictions = options.capabilityRestrictions || null;
+    if (options.requires) declareRequires(fn, options.requires);
+    if (options.sandbox) symbol.sandbox = options.sandbox;
+    symbol.vibeDescription = options.description || "A vibe function";
+    return symbol;
+}
+
 function createVibeActor(name, definition) {
+    if (typeof name !== 'string') {
+        return createPureActor(name || {}, definition || {});
+    }
+    
     const actorSymbol = new VibeSymbol({
         name: name,
         type: 'ACTOR',
@@ -439,127 +1760,3087 @@ function createVibeActor(name, definition) {
     });
     
     actorSymbol.vibeType = 'ACTOR';
+    actorSymbol.messageHandlers = Object.keys(actorSymbol.value.handlers);
+    return actorSymbol;
+}
+
+// Level 2: Actor (non-hereditary) — pure step semantics, no inheritance
+function createPureActor(handlers, initialState = {}) {
+    const actorSymbol = new VibeSymbol({ kind: 'ACTOR', state: initialState, handlers });
+    actorSymbol.vibeType = 'ACTOR';
+    actorSymbol.messageHandlers = Object.keys(handlers);
     return actorSymbol;
 }
 
-function createVibePrototype(name, definition) {
+function isPureActor(actor) {
+    return !!(actor && actor.value && actor.value.kind === 'ACTOR');
+}
+
+function createVibePrototype(name, definition, parentProto = null, mixins = []) {
+    if (typeof name !== 'string') {
+        return createTemplatePrototype(name, definition || {}, parentProto, mixins);
+    }
+    
+    const parent = definition.extends || parentProto;
     const prototypeSymbol = new VibeSymbol({
         name: name,
         type: 'PROTOTYPE', 
         methods: definition.methods || {},
         properties: definition.properties || {},
+        parent: prototypeHash(parent, 'extends'),
+        mixins: (definition.mixins || mixins).map(mixin => prototypeHash(mixin, 'mixins')).filter(Boolean),
         isHereditary: true // Hereditary prototypes
     });
     
     prototypeSymbol.vibeType = 'PROTOTYPE';
+    prototypeSymbol.methods = Object.keys(prototypeSymbol.value.methods);
     return prototypeSymbol;
 }
 
+// Level 3: Prototype (hereditary actor) — inheritance-enabled instances
+function createTemplatePrototype(template, methods = {}, parentProto = null, mixins = []) {
+    const proto = new VibeSymbol({
+        kind: 'PROTOTYPE',
+        template,
+        methods,
+        parent: prototypeHash(parentProto, 'parent'),
+        mixins: mixins.map(mixin => prototypeHash(mixin, 'mixins')).filter(Boolean)
+    });
+    proto.vibeType = 'PROTOTYPE';
+    proto.methods = Object.keys(methods);
+    return proto;
+}
+
+// Prototypes link to their parent and mixins by hash, so lookups delegate through the vibe space
+function prototypeHash(proto, role) {
+    if (!proto) return null;
+    if (proto.vibeType !== 'PROTOTYPE') {
+        console.warn(`createVibePrototype: ${role} must be a prototype`);
+        return null;
+    }
+    return proto.hash;
+}
+
+// Delegation order: the prototype itself, its mixins (the last listed wins), then its parent
+// chain. Each prototype appears once, so diamond-shaped mixins resolve to the nearest copy.
+function prototypeChain(protoHash) {
+    const chain = [];
+    const seen = new Set();
+    const visit = hash => {
+        if (!hash || seen.has(hash) || !CURRENT_SPACE.symbols.has(hash)) return;
+        seen.add(hash);
+        const proto = CURRENT_SPACE.symbols.get(hash);
+        const val = proto.value || {};
+        chain.push(proto);
+        (val.mixins || []).slice().reverse().forEach(visit);
+        visit(val.parent);
+    };
+    visit(protoHash);
+    return chain;
+}
+
+// Find `methodName` along the delegation chain; `afterHash` skips up to and including that
+// prototype, which is how super calls continue the lookup above the running method
+function resolveMethod(protoHash, methodName, afterHash = null) {
+    let chain = prototypeChain(protoHash);
+    if (afterHash) chain = chain.slice(chain.findIndex(p => p.hash === afterHash) + 1);
+    for (const p of chain) {
+        const val = p.value || {};
+        if (val.methods && val.methods[methodName]) return { proto: p, fn: val.methods[methodName], name: methodName };
+    }
+    return null;
+}
+
+function instancePrototypeHash(instance) {
+    const value = instance instanceof VibeSymbol ? instance.value : instance;
+    if (!value || typeof value !== 'object') return null;
+    return value.kind === 'INSTANCE' ? value.proto : (value.__prototype__ || null);
+}
+
+function isTemplateInstance(receiver) {
+    return receiver instanceof VibeSymbol && !!receiver.value && receiver.value.kind === 'INSTANCE';
+}
+
+function instanceOf(instance, prototype) {
+    const protoHash = instancePrototypeHash(instance);
+    const target = typeof prototype === 'string' ? prototype : prototype && prototype.hash;
+    return !!protoHash && !!target && prototypeChain(protoHash).some(p => p.hash === target);
+}
+
+// Methods currently running, innermost last. The receiver is what the method sees as its
+// instance: `this` for library-style methods, the instance symbol for template methods.
+const METHOD_FRAMES = [];
+
+function runMethod(receiver, resolved, args) {
+    METHOD_FRAMES.push({ receiver, owner: resolved.proto.hash, name: resolved.name });
+    try {
+        if (isTemplateInstance(receiver)) {
+            const result = resolved.fn(receiver, ...args);
+            const nextInstance = (result && result.instance) ? result.instance : receiver;
+            return { instance: nextInstance, out: result ? result.out : undefined };
+        }
+        const result = runVibeCode(resolved.proto.sandbox, resolved.proto, resolved.fn, receiver, args);
+        if (result.self !== receiver) {
+            // Sandboxed methods change a copy: carry it back into the draft
+            Object.keys(receiver).forEach(key => { if (!(key in result.self)) delete receiver[key]; });
+            Object.assign(receiver, result.self);
+        }
+        return result.out;
+    } finally {
+        METHOD_FRAMES.pop();
+    }
+}
+
+// Call the next `methodName` above the prototype that defines the running method. Outside a
+// method the lookup starts above the instance's own prototype.
+function callSuper(receiver, methodName, ...args) {
+    let frame = null;
+    for (let i = METHOD_FRAMES.length - 1; i >= 0 && !frame; i--) {
+        if (METHOD_FRAMES[i].receiver === receiver) frame = METHOD_FRAMES[i];
+    }
+    const protoHash = instancePrototypeHash(receiver);
+    const resolved = protoHash && resolveMethod(protoHash, methodName, frame ? frame.owner : protoHash);
+    if (!resolved) throw new Error(`Super method not found: ${methodName}`);
+    return (frame || !(receiver instanceof VibeSymbol)) ? runMethod(receiver, resolved, args) : invokeMethod(receiver, resolved, args);
+}
+
+// Copy-on-write method calls: library methods run against a draft of the instance value and
+// template methods return their next instance. A changed instance comes back as a new version
+// linked to the one the method was called on, which stays untouched and revertible.
+function invokeMethod(instance, resolved, args) {
+    const result = applyMethod(instance, resolved, args);
+    if (result) {
+        sessionEvent('callMethod', instance.hash, result.instance && result.instance.hash);
+        const output = result.instance instanceof VibeSymbol ? result.instance : instance;
+        traceEvent('callMethod', { input: instance, output, name: resolved.name, args, out: result.out });
+    }
+    return result;
+}
+
+function applyMethod(instance, resolved, args) {
+    if (isTemplateInstance(instance)) {
+        const { value: result, inputs } = drawnDuring(() => runMethod(instance, resolved, args));
+        const next = result.instance;
+        if (next === instance) return result;
+        if (!authorize(instance, 'write', 'callMethod', { method: resolved.name })) return writeDenied(resolved.name);
+        if (next instanceof VibeSymbol && !next.parentHash) recordMethodCall(instance, next, resolved.name, inputs);
+        return result;
+    }
+    
+    const draft = cloneValue(instance.value);
+    const { value: out, inputs } = drawnDuring(() => runMethod(draft, resolved, args));
+    if (diffValues(instance.value, draft).length === 0) return { instance, out };
+    if (!authorize(instance, 'write', 'callMethod', { method: resolved.name })) return writeDenied(resolved.name);
+    return { instance: recordMethodCall(instance, new VibeSymbol(draft, instance.capabilities), resolved.name, inputs), out };
+}
+
+function writeDenied(methodName) {
+    console.warn(`callMethod: '${methodName}' needs write capability to change the instance`);
+    return null;
+}
+
+function recordMethodCall(instance, next, methodName, inputs) {
+    next.vibeType = 'PROTOTYPE_INSTANCE';
+    const patch = linkLineage(next, instance);
+    const data = { input: instance.hash, output: next.hash, method: methodName };
+    if (inputs.length > 0) data.inputs = inputs;
+    next.tapeOperations = [
+        ...instance.tapeOperations,
+        recordTransition('call', data, patch, next.coord)
+    ];
+    publishVersion(instance, next);
+    return next;
+}
+
+function findHandler(handlers, message) {
+    if (typeof message === 'string' && handlers[message]) return { fn: handlers[message], isDefault: false };
+    if (handlers.default) return { fn: handlers.default, isDefault: true };
+    return null;
+}
+
+// Copy-on-write like callMethod: handlers work on a copy of the state and a changed state comes
+// back as the next actor version, linked to this one. Returns { actor, out }, where `actor` is the
+// actor itself when the handler changed nothing, or null when the message could not be handled
 function sendMessage(actor, message, ...args) {
+    const home = foreignSpace(actor);
+    if (home) return inSpace(home, () => sendMessage(actor, message, ...args));
     if (actor.vibeType !== 'ACTOR' || !actor.value.handlers) {
         console.warn('sendMessage: target is not an actor');
         return null;
     }
+    if (!authorize(actor, 'execute', 'sendMessage', { message })) {
+        console.warn(`sendMessage: '${message}' blocked by capabilities`);
+        return null;
+    }
     
-    const handler = actor.value.handlers[message];
+    const handler = findHandler(actor.value.handlers, message);
     if (!handler) {
         console.warn(`sendMessage: no handler for message '${message}'`);
-        return null;
+        return isPureActor(actor) ? { actor, out: `No handler for: ${message}` } : null;
     }
     
-    // Execute handler and return result
-    try {
-        return handler.apply(actor.value, args);
-    } catch (error) {
-        console.error(`sendMessage: handler error for '${message}':`, error);
-        return null;
+    // Pure-step actors may throw to the caller
+    let outcome;
+    if (isPureActor(actor)) {
+        outcome = runHandler(actor, handler, message, args);
+    } else {
+        try {
+            outcome = runHandler(actor, handler, message, args);
+        } catch (error) {
+            console.error(`sendMessage: handler error for '${message}':`, error);
+            return null;
+        }
+    }
+    
+    const { value: { nextState, out }, inputs } = outcome;
+    let next = actor;
+    if (diffValues(actor.value.state, nextState).length > 0) {
+        if (!authorize(actor, 'write', 'sendMessage', { message })) {
+            console.warn(`sendMessage: '${message}' needs write capability to change the actor`);
+            return null;
+        }
+        next = nextActorVersion(actor, nextState, message, inputs);
+    }
+    sessionEvent('sendMessage', actor.hash, computeContentHash({ state: next.value.state, out }));
+    traceEvent('sendMessage', { input: actor, output: next, name: message, args, out });
+    return { actor: next, out };
+}
+
+// Process one message without touching the current actor: returns the next actor version
+function stepActor(actor, message, ...args) {
+    const home = foreignSpace(actor);
+    if (home) return inSpace(home, () => stepActor(actor, message, ...args));
+    if (actor.vibeType !== 'ACTOR' || !actor.value.handlers) {
+        console.warn('stepActor: target is not an actor');
+        return { actor, out: undefined };
+    }
+    if (!authorize(actor, 'execute', 'stepActor', { message })) throw capabilityDenied(actor, 'execute', 'stepActor');
+    
+    const handler = findHandler(actor.value.handlers, message);
+    const { value: { nextState, out }, inputs } = runHandler(actor, handler, message, args);
+    if (diffValues(actor.value.state, nextState).length > 0 && !authorize(actor, 'write', 'stepActor', { message })) {
+        throw capabilityDenied(actor, 'write', 'stepActor');
     }
+    const nextActor = nextActorVersion(actor, nextState, message, inputs);
+    sessionEvent('stepActor', actor.hash, nextActor.hash);
+    traceEvent('stepActor', { input: actor, output: nextActor, name: message, args, out });
+    return { actor: nextActor, out };
+}
+
+// Run `handler` (or nothing, when it is null) on a copy of the actor's state. Pure-step handlers
+// get (state, message, ...args) and return { state, out }; library handlers change this.state
+function runHandler(actor, handler, message, args) {
+    const { state } = actor.value;
+    return drawnDuring(() => {
+        if (!handler) return { nextState: state, out: undefined };
+        if (isPureActor(actor)) {
+            const result = runVibeCode(actor.sandbox, actor, handler.fn, undefined, [cloneValue(state), message, ...args]).out;
+            return { nextState: (result && result.state) ?? state, out: result ? result.out : undefined };
+        }
+        const draft = { ...actor.value, state: cloneValue(state) };
+        const result = runVibeCode(actor.sandbox, actor, handler.fn, draft, handler.isDefault ? [message, ...args] : args);
+        return { nextState: result.self.state, out: result.out };
+    });
+}
+
+// The actor version after `message`, with its 'step' tape entry
+function nextActorVersion(actor, nextState, message, inputs) {
+    const nextActor = new VibeSymbol({ ...actor.value, state: nextState }, actor.capabilities);
+    nextActor.vibeType = 'ACTOR';
+    nextActor.messageHandlers = actor.messageHandlers;
+    const patch = linkLineage(nextActor, actor);
+    const data = { input: actor.hash, output: nextActor.hash, message };
+    if (inputs.length > 0) data.inputs = inputs;
+    nextActor.tapeOperations = [
+        ...actor.tapeOperations,
+        recordTransition('step', data, patch, nextActor.coord)
+    ];
+    publishVersion(actor, nextActor);
+    return nextActor;
 }
 
 function instantiate(prototype, initialData = {}) {
+    const home = foreignSpace(prototype);
+    if (home) return inSpace(home, () => instantiate(prototype, initialData));
     if (prototype.vibeType !== 'PROTOTYPE') {
         console.warn('instantiate: target is not a prototype');
         return null;
     }
+    if (!authorize(prototype, 'read', 'instantiate')) {
+        console.warn('instantiate: blocked by capabilities');
+        return null;
+    }
     
+    if (prototype.value.kind === 'PROTOTYPE') {
+        const p = prototype.value;
+        const data = (typeof p.template === 'function') ? p.template(initialData) : { ...(p.template || {}), ...initialData };
+        const templateInstance = new VibeSymbol({ kind: 'INSTANCE', proto: prototype.hash, state: data });
+        templateInstance.vibeType = 'PROTOTYPE_INSTANCE';
+        return templateInstance;
+    }
+    
+    // Properties are inherited root-first so nearer prototypes override; methods stay on the
+    // prototypes and are found by delegation
+    const properties = prototypeChain(prototype.hash).reverse()
+        .reduce((props, p) => Object.assign(props, cloneValue(p.value.properties || {})), {});
     const instance = new VibeSymbol({
+        ...properties,
         ...initialData,
-        __prototype__: prototype.hash,
-        __methods__: prototype.value.methods
+        __prototype__: prototype.hash
     });
     
     instance.vibeType = 'PROTOTYPE_INSTANCE';
     return instance;
 }
 
+// Both styles return { instance, out }: `instance` is the next version when the call changed
+// the instance's data, otherwise the instance itself
 function callMethod(instance, methodName, ...args) {
-    if (instance.vibeType !== 'PROTOTYPE_INSTANCE') {
+    const home = foreignSpace(instance);
+    if (home) return inSpace(home, () => callMethod(instance, methodName, ...args));
+    if (instance instanceof VibeSymbol && !authorize(instance, 'execute', 'callMethod', { method: methodName })) {
+        console.warn(`callMethod: '${methodName}' blocked by capabilities`);
+        return null;
+    }
+    if (isTemplateInstance(instance)) {
+        const m = resolveMethod(instance.value.proto, methodName);
+        if (!m) throw new Error(`Method not found: ${methodName}`);
+        return invokeMethod(instance, m, args);
+    }
+    
+    const protoHash = instancePrototypeHash(instance);
+    if (!protoHash) {
         console.warn('callMethod: target is not a prototype instance');
         return null;
     }
     
-    const method = instance.value.__methods__[methodName];
+    const method = resolveMethod(protoHash, methodName);
     if (!method) {
         console.warn(`callMethod: no method '${methodName}' found`);
         return null;
     }
     
     try {
-        return method.apply(instance.value, args);
+        return invokeMethod(instance, method, args);
     } catch (error) {
         console.error(`callMethod: method error for '${methodName}':`, error);
         return null;
     }
 }
 
-// ============= UTILITY FUNCTIONS =============
-
-function createVibeSymbol(value, capabilities) {
-    return new VibeSymbol(value, capabilities);
-}
-
-function getVibeSpace() {
-    return VIBE_SPACE;
-}
+// ============= ACTOR SCHEDULER =============
 
-function clearVibeSpace() {
-    VIBE_SPACE.clear();
-    temporalCoord = 0;
-}
+// Asynchronous actors: each spawned actor gets a FIFO mailbox, and a cooperative scheduler
+// delivers messages round-robin, a few per actor per turn, yielding to the host event loop
+// between slices. Every delivery is a stepActor, so each message leaves a new actor version
+// (with its 'step' tape entry) that can be reverted. Handlers run synchronously.
+// Failures go to the actor's supervisor (see SUPERVISION) when it has one.
 
-function getTemporalCoord() {
-    return temporalCoord;
-}
+const SCHEDULER_DEFAULTS = {
+    mailboxLimit: 1000,   // Messages an actor may have waiting; further sends are refused
+    messagesPerTurn: 1,   // Messages delivered to one actor before moving to the next
+    turnsPerSlice: 100,   // Deliveries before yielding to the event loop
+    onError: (error, ref, envelope) => {
+        console.error(`Actor ${ref.name}: handler error for '${envelope.message}':`, error);
+    }
+};
 
-// ============= EXPORTS =============
+const defer = typeof setImmediate === 'function' ? setImmediate : (fn => setTimeout(fn, 0));
 
-// For Node.js
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        // Core classes
-        VibeSymbol,
-        VibeToken,
-        TapeOperation,
-        
-        // Core functions
-        vibeTransform,
-        vibeRevert,
+class ActorRef {
+    constructor(scheduler, actor, options = {}) {
+        this.scheduler = scheduler;
+        this.current = actor; // Latest actor version
+        this.initial = actor; // Version it was spawned with
+        this.name = (actor.value && actor.value.name) || actor.hash.slice(0, 8);
+        this.mailbox = [];
+        this.mailboxLimit = options.mailboxLimit || scheduler.options.mailboxLimit;
+        this.queued = false; // In the scheduler's ready queue
+        this.processed = 0;
+        this.stopped = false;
+        this.supervisor = null;
+        this.restartFrom = 'last-good'; // Or 'initial'
+        this.validate = null; // state => boolean; restarts skip versions that fail it
+        this.restarts = 0;
+    }
+    
+    // Fire-and-forget; false when the mailbox is full (back-pressure)
+    send(message, ...args) {
+        return this.scheduler.enqueue(this, { message, args });
+    }
+    
+    // Request/reply; resolves with the handler's result
+    ask(message, ...args) {
+        return new Promise((resolve, reject) => {
+            if (!this.scheduler.enqueue(this, { message, args, resolve, reject })) {
+                reject(this.refusal());
+            }
+        });
+    }
+    
+    refusal() {
+        const error = this.stopped
+            ? new Error(`Actor stopped: ${this.name}`)
+            : new Error(`Mailbox full: ${this.name} (${this.mailboxLimit} messages waiting)`);
+        error.code = this.stopped ? 'ACTOR_STOPPED' : 'MAILBOX_FULL';
+        return error;
+    }
+    
+    get state() {
+        return this.current.value.state;
+    }
+    
+    // The version to restart from: the newest version since spawn whose state passes
+    // `validate` (the current one by default), reached by reverting through the lineage
+    restartTarget() {
+        if (this.restartFrom === 'initial') return this.initial;
+        
+        let candidate = this.current;
+        while (this.validate && !this.validate(candidate.value.state)) {
+            if (candidate.hash === this.initial.hash || !candidate.parentHash) return this.initial;
+            candidate = vibeRevert(candidate, 1);
+        }
+        return candidate;
+    }
+    
+    restart() {
+        this.current = this.restartTarget();
+        this.stopped = false;
+        this.restarts++;
+        return this.current;
+    }
+    
+    // Refuse further messages; waiting asks are rejected
+    stop() {
+        this.stopped = true;
+        const error = this.refusal();
+        this.mailbox.splice(0).forEach(envelope => {
+            if (envelope.reject) envelope.reject(error);
+        });
+    }
+}
+
+class VibeScheduler {
+    constructor(options = {}) {
+        this.options = { ...SCHEDULER_DEFAULTS, ...options };
+        CURRENT_SPACE.schedulers.add(this);
+        this.refs = new Set();
+        this.ready = []; // Actors with waiting messages, in delivery order
+        this.scheduled = false;
+        this.idleWaiters = [];
+        this.delivered = 0;
+    }
+    
+    spawn(actor, options = {}) {
+        if (actor.vibeType !== 'ACTOR' || !actor.value || !actor.value.handlers) {
+            throw new Error('spawn: target is not an actor');
+        }
+        const ref = new ActorRef(this, actor, options);
+        this.refs.add(ref);
+        return ref;
+    }
+    
+    enqueue(ref, envelope) {
+        if (ref.stopped || ref.mailbox.length >= ref.mailboxLimit) return false;
+        ref.mailbox.push(envelope);
+        if (!ref.queued) {
+            ref.queued = true;
+            this.ready.push(ref);
+        }
+        this.schedule();
+        return true;
+    }
+    
+    schedule() {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        defer(() => {
+            this.scheduled = false;
+            this.runSlice();
+        });
+    }
+    
+    // Deliver up to `turnsPerSlice` messages; returns the number delivered
+    runSlice() {
+        let delivered = 0;
+        while (this.ready.length > 0 && delivered < this.options.turnsPerSlice) {
+            const ref = this.ready.shift();
+            for (let i = 0; i < this.options.messagesPerTurn && ref.mailbox.length > 0; i++) {
+                this.deliver(ref, ref.mailbox.shift());
+                delivered++;
+            }
+            if (ref.mailbox.length > 0) this.ready.push(ref);
+            else ref.queued = false;
+        }
+        
+        if (this.ready.length > 0) {
+            this.schedule();
+        } else {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+        return delivered;
+    }
+    
+    deliver(ref, envelope) {
+        try {
+            const { actor, out } = stepActor(ref.current, envelope.message, ...envelope.args);
+            ref.current = actor;
+            ref.processed++;
+            this.delivered++;
+            if (envelope.resolve) envelope.resolve(out);
+        } catch (error) {
+            if (envelope.reject) envelope.reject(error);
+            if (ref.supervisor) ref.supervisor.childFailed(ref, error);
+            else if (!envelope.reject) this.options.onError(error, ref, envelope);
+        }
+    }
+    
+    // Resolves once every mailbox is empty
+    drain() {
+        if (this.ready.length === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+}
+
+// ============= SUPERVISION =============
+
+// Supervisors own actors (and other supervisors) and restart them when a handler throws.
+// A restart is a revert: the actor goes back to its last good version (see ActorRef.restartTarget)
+// instead of relying on try/catch inside handlers. Strategies follow Erlang/OTP:
+//   'one-for-one'  - restart only the failed child
+//   'one-for-all'  - restart every child
+//   'rest-for-one' - restart the failed child and the children started after it
+// More than `maxRestarts` restarts within `window` temporal coordinates stops the supervisor's
+// children and escalates the failure to its parent supervisor.
+
+const SUPERVISOR_DEFAULTS = {
+    strategy: 'one-for-one',
+    maxRestarts: 3,
+    window: 1000,
+    restartFrom: 'last-good',
+    validate: null,
+    onEscalate: (error, supervisor) => {
+        console.error(`Supervisor ${supervisor.name}: restart limit reached, children stopped:`, error);
+    }
+};
+
+class VibeSupervisor {
+    constructor(scheduler, options = {}) {
+        this.scheduler = scheduler;
+        this.options = { ...SUPERVISOR_DEFAULTS, ...options };
+        if (!['one-for-one', 'one-for-all', 'rest-for-one'].includes(this.options.strategy)) {
+            throw new Error(`Unknown supervision strategy: ${this.options.strategy}`);
+        }
+        this.name = options.name || 'supervisor';
+        this.children = []; // ActorRefs and VibeSupervisors, in start order
+        this.parent = null;
+        this.space = CURRENT_SPACE; // Restart windows count this space's temporal coordinates
+        this.restartCoords = []; // Temporal coordinate of each recent restart
+        this.stopped = false;
+        this.log = []; // { type: 'failure' | 'restart' | 'escalate', child, coord, error }
+    }
+    
+    spawn(actor, options = {}) {
+        const ref = this.scheduler.spawn(actor, options);
+        ref.supervisor = this;
+        ref.restartFrom = options.restartFrom || this.options.restartFrom;
+        ref.validate = options.validate || this.options.validate;
+        this.children.push(ref);
+        return ref;
+    }
+    
+    // Start a child supervisor; its escalations come to this one
+    spawnSupervisor(options = {}) {
+        const child = new VibeSupervisor(this.scheduler, options);
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+    
+    childFailed(child, error) {
+        if (this.stopped) return;
+        const now = this.space.coord;
+        this.log.push({ type: 'failure', child: child.name, coord: now, error });
+        
+        this.restartCoords = this.restartCoords.filter(coord => now - coord < this.options.window);
+        if (this.restartCoords.length >= this.options.maxRestarts) {
+            this.escalate(error);
+            return;
+        }
+        this.restartCoords.push(now);
+        
+        const index = this.children.indexOf(child);
+        const affected = this.options.strategy === 'one-for-all' ? this.children
+            : this.options.strategy === 'rest-for-one' ? this.children.slice(index)
+            : [child];
+        affected.forEach(sibling => {
+            sibling.restart();
+            this.log.push({ type: 'restart', child: sibling.name, coord: now, error });
+        });
+    }
+    
+    escalate(error) {
+        this.stop();
+        this.log.push({ type: 'escalate', child: this.name, coord: this.space.coord, error });
+        if (this.parent) this.parent.childFailed(this, error);
+        else this.options.onEscalate(error, this);
+    }
+    
+    // Restarting a supervisor restarts its whole subtree with a fresh restart budget
+    restart() {
+        this.stopped = false;
+        this.restartCoords = [];
+        this.children.forEach(child => child.restart());
+    }
+    
+    stop() {
+        this.stopped = true;
+        this.children.forEach(child => child.stop());
+    }
+}
+
+// ============= SANDBOX =============
+
+// Transform functions, actor handlers and prototype methods of a symbol bound to a VibeSandbox
+// run in a separate realm: a Node `vm` context, or an iframe realm in browsers. Functions are
+// compiled there from source (so they must be self-contained, like saved functions) and
+// exchange only JSON data with the host. Inside, the JavaScript builtins are available but:
+//   - `fetch` reaches the sandbox's `fetch` stub only if the symbol holds a NETWORK token
+//   - `Date.now()`, `new Date()` and `Math.random()` throw unless `clock` / `random` are given
+//   - loops stop after `maxSteps` iterations in total and the call after `timeout` ms
+// Neither realm is a hard security boundary: treat the sandbox as containment for faulty or
+// generated code, not as isolation from a determined attacker.
+
+const SANDBOX_DEFAULTS = {
+    maxSteps: 100000, // Loop iterations per call
+    timeout: 1000, // Milliseconds per call
+    fetch: null, // (url, options) => JSON data, called synchronously
+    clock: null, // () => milliseconds since epoch
+    random: null // () => number in [0, 1)
+};
+
+class VibeSandbox {
+    constructor(options = {}) {
+        this.options = { ...SANDBOX_DEFAULTS, ...options };
+        this.realm = null; // Created on first use
+        this.runner = null;
+        this.compiled = new Map(); // source -> function inside the realm
+        this.current = null; // Symbol whose code is running, for bridged capability checks
+    }
+    
+    // Run the functions of `symbol` (a function vibe, actor or prototype) in this sandbox
+    bind(symbol) {
+        symbol.sandbox = this;
+        return symbol;
+    }
+    
+    run(fn, args = [], options = {}) {
+        return this.invoke(fn, { ...options, args }).out;
+    }
+    
+    // Call `fn` with `self` as `this`; returns `{ out, self }` with `self` as the function left it
+    invoke(fn, { self, args = [], symbol = null } = {}) {
+        const compiled = this.compile(fn);
+        return this.execute(compiled, self, args, symbol);
+    }
+    
+    // Evaluate an expression; function results are compiled back into the host
+    evaluate(source, { symbol = null } = {}) {
+        const compiled = this.compileSource(`function () { return (${source}); }`, {});
+        const result = this.execute(compiled, undefined, [], symbol, true);
+        return result.source ? compileFunction(result.source, {}) : result.out;
+    }
+    
+    compile(fn) {
+        const source = Function.prototype.toString.call(fn);
+        if (/\{\s*\[native code\]\s*\}\s*$/.test(source)) throw sandboxError(`'${fn.name}' is native and cannot be sandboxed`);
+        const requirements = fn.vibeRequires || {};
+        const bindings = Array.isArray(requirements)
+            ? Object.fromEntries(requirements.filter(name => FUNCTION_SCOPE.has(name)).map(name => [name, FUNCTION_SCOPE.get(name)]))
+            : requirements;
+        return this.compileSource(functionExpressionSource(source), bindings);
+    }
+    
+    compileSource(source, bindings) {
+        const key = `${JSON.stringify(bindings)}\n${source}`;
+        if (!this.compiled.has(key)) {
+            const names = Object.keys(bindings);
+            const code = `(function (${names.join(', ')}) { 'use strict'; return (${instrumentLoops(source)}); })` +
+                `.apply(undefined, JSON.parse(${JSON.stringify(JSON.stringify(names.map(name => bindings[name])))}))`;
+            this.compiled.set(key, this.ensureRealm().evaluate(code));
+        }
+        return this.compiled.get(key);
+    }
+    
+    ensureRealm() {
+        if (!this.realm) {
+            this.realm = createRealm();
+            const prelude = this.realm.evaluate(`(${sandboxPrelude.toString()})`);
+            this.runner = prelude((name, argsJson) => this.bridge(name, argsJson));
+        }
+        return this.realm;
+    }
+    
+    execute(compiled, self, args, symbol, sourceOfFunctions = false) {
+        const { maxSteps, timeout } = this.options;
+        this.current = symbol;
+        let reply;
+        try {
+            this.runner.start({
+                fn: compiled,
+                self: self === undefined ? undefined : safeStringify(self),
+                args: safeStringify(args),
+                sourceOfFunctions
+            }, maxSteps, Date.now() + timeout);
+            reply = JSON.parse(this.realm.evaluate('__vibeInvoke()', timeout));
+        } catch (error) {
+            // Node's vm timeout fires for work that never reaches a loop check
+            if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                throw sandboxError(`Sandbox time limit exceeded (${timeout} ms)`, 'SANDBOX_LIMIT');
+            }
+            throw error;
+        } finally {
+            this.current = null;
+        }
+        if (this.runner.exceeded()) throw sandboxError(`Sandbox ${this.runner.exceeded()} limit exceeded`, 'SANDBOX_LIMIT');
+        if ('error' in reply) throw sandboxError(reply.error);
+        return reply;
+    }
+    
+    // Host side of the sandbox's fetch, clock and random; data crosses as JSON strings
+    bridge(name, argsJson) {
+        try {
+            const args = JSON.parse(argsJson);
+            let value;
+            if (name === 'fetch') {
+                if (!this.options.fetch || !authorize(this.current, 'network', 'sandbox fetch')) {
+                    throw new Error('fetch is not granted');
+                }
+                value = this.options.fetch(...args);
+            } else if (!this.options[name]) {
+                throw new Error(`${name === 'clock' ? 'Date' : 'Math.random'} is not granted`);
+            } else {
+                value = this.options[name]();
+            }
+            return JSON.stringify({ value: toStorable(value) });
+        } catch (error) {
+            return JSON.stringify({ error: error.message });
+        }
+    }
+}
+
+function createSandbox(options) {
+    return new VibeSandbox(options);
+}
+
+// Call a function that belongs to `owner` with `self` as `this`, inside `sandbox` when there is
+// one. Returns `{ out, self }`; a sandboxed call hands back a changed copy of `self`.
+function runVibeCode(sandbox, owner, fn, self, args) {
+    if (sandbox) return sandbox.invoke(fn, { self, args, symbol: owner });
+    return { out: fn.apply(self, args), self };
+}
+
+let SOURCE_SANDBOX = null; // Evaluates rewritten source for symbols without a sandbox of their own
+
+function sourceSandbox() {
+    if (!SOURCE_SANDBOX) SOURCE_SANDBOX = new VibeSandbox();
+    return SOURCE_SANDBOX;
+}
+
+function sandboxError(message, code = 'SANDBOX_ERROR') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// A realm evaluates code in a global scope of its own
+function createRealm() {
+    if (typeof require === 'function') {
+        const vm = require('vm');
+        const context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+        return { evaluate: (code, timeout) => vm.runInContext(code, context, timeout ? { timeout } : {}) };
+    }
+    if (typeof document !== 'undefined') {
+        const frame = document.createElement('iframe');
+        frame.style.display = 'none';
+        frame.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(frame);
+        const realm = frame.contentWindow;
+        return { evaluate: code => realm.eval(code) };
+    }
+    throw sandboxError('No sandbox realm available in this environment');
+}
+
+// Evaluated inside the realm (from its source, so it closes over nothing in the host): locks
+// down the globals and installs the step counter and the entry point the host calls
+function sandboxPrelude(bridge) {
+    'use strict';
+    const g = globalThis;
+    const realNow = Date.now;
+    const RealDate = Date;
+    const state = { job: null, steps: 0, maxSteps: Infinity, deadline: Infinity, exceeded: null };
+    const define = (target, name, value) => {
+        try {
+            Object.defineProperty(target, name, { value, writable: false, configurable: false });
+        } catch (error) { /* unforgeable browser globals such as `top` stay */ }
+    };
+    const callHost = (name, args) => {
+        const reply = JSON.parse(bridge(name, JSON.stringify(args)));
+        if ('error' in reply) throw new Error(reply.error);
+        return reply.value;
+    };
+    const step = () => {
+        state.steps++;
+        if (state.steps > state.maxSteps) state.exceeded = state.exceeded || 'step';
+        else if ((state.steps & 255) === 0 && realNow() > state.deadline) state.exceeded = state.exceeded || 'time';
+        if (state.exceeded) throw new Error(`Sandbox ${state.exceeded} limit exceeded`);
+        return true;
+    };
+    
+    class SandboxDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length === 0 ? [callHost('clock', [])] : args));
+        }
+        static now() {
+            return callHost('clock', []);
+        }
+    }
+    define(g, 'Date', SandboxDate);
+    define(Math, 'random', () => callHost('random', []));
+    define(g, 'fetch', (...args) => callHost('fetch', args));
+    ['XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker', 'SharedWorker', 'importScripts', 'crypto',
+        'performance', 'localStorage', 'sessionStorage', 'indexedDB', 'document', 'navigator',
+        'parent', 'top', 'opener', 'frameElement'].forEach(name => define(g, name, undefined));
+    define(g, '__vibeStep', step);
+    define(g, '__vibeSteps', function* (iterable) {
+        for (const item of iterable) {
+            step();
+            yield item;
+        }
+    });
+    define(g, '__vibeInvoke', () => {
+        const { fn, self, args, sourceOfFunctions } = state.job;
+        try {
+            const thisArg = self === undefined ? undefined : JSON.parse(self);
+            const out = fn.apply(thisArg, JSON.parse(args));
+            if (sourceOfFunctions && typeof out === 'function') {
+                return JSON.stringify({ source: Function.prototype.toString.call(out) });
+            }
+            return JSON.stringify({ out, self: thisArg });
+        } catch (error) {
+            return JSON.stringify({ error: String(error && error.message !== undefined ? error.message : error) });
+        }
+    });
+    
+    return {
+        start(job, maxSteps, deadline) {
+            Object.assign(state, { job, maxSteps, deadline, steps: 0, exceeded: null });
+        },
+        exceeded: () => state.exceeded
+    };
+}
+
+// Insert the step counter into every `while`, `do ... while` and `for` loop of `source`:
+// conditions become `__vibeStep() && (condition)` and for-of iterables go through
+// `__vibeSteps`. Strings, templates, comments and regular expressions are copied unchanged.
+const REGEX_PRECEDERS = /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await))\s*$/;
+
+function literalEnd(source, i, before) {
+    const ch = source[i];
+    const next = source[i + 1];
+    if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        while (j < source.length && source[j] !== ch) j += source[j] === '\\' ? 2 : 1;
+        return j + 1;
+    }
+    if (ch === '`') {
+        let j = i + 1;
+        while (j < source.length && source[j] !== '`') {
+            if (source[j] === '\\') {
+                j += 2;
+            } else if (source[j] === '$' && source[j + 1] === '{') {
+                j = matchingBracket(source, j + 1) + 1;
+            } else {
+                j++;
+            }
+        }
+        return j + 1;
+    }
+    if (ch === '/' && next === '/') {
+        const end = source.indexOf('\n', i);
+        return end === -1 ? source.length : end;
+    }
+    if (ch === '/' && next === '*') {
+        const end = source.indexOf('*/', i + 2);
+        return end === -1 ? source.length : end + 2;
+    }
+    if (ch === '/' && REGEX_PRECEDERS.test(before)) {
+        let j = i + 1;
+        let inClass = false;
+        while (j < source.length && (inClass || source[j] !== '/') && source[j] !== '\n') {
+            if (source[j] === '\\') j++;
+            else if (source[j] === '[') inClass = true;
+            else if (source[j] === ']') inClass = false;
+            j++;
+        }
+        j++;
+        while (/[a-z]/i.test(source[j] || '')) j++;
+        return j;
+    }
+    return -1;
+}
+
+// Index of the bracket closing the one at `open`, skipping literals
+function matchingBracket(source, open) {
+    let depth = 0;
+    for (let i = open; i < source.length; i++) {
+        const end = literalEnd(source, i, source.slice(Math.max(0, i - 16), i));
+        if (end !== -1) {
+            i = end - 1;
+        } else if ('([{'.includes(source[i])) {
+            depth++;
+        } else if (')]}'.includes(source[i]) && --depth === 0) {
+            return i;
+        }
+    }
+    return source.length;
+}
+
+// Positions in `text` outside nested brackets and literals where `test(text, i)` holds
+function topLevelPositions(text, test) {
+    const positions = [];
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const end = literalEnd(text, i, text.slice(Math.max(0, i - 16), i));
+        if (end !== -1) {
+            i = end - 1;
+        } else if ('([{'.includes(text[i])) {
+            depth++;
+        } else if (')]}'.includes(text[i])) {
+            depth--;
+        } else if (depth === 0 && test(text, i)) {
+            positions.push(i);
+        }
+    }
+    return positions;
+}
+
+function instrumentLoopHeader(keyword, header) {
+    if (keyword === 'while') return `__vibeStep() && (${header})`;
+    const semicolons = topLevelPositions(header, (text, i) => text[i] === ';');
+    if (semicolons.length === 2) {
+        const [first, second] = semicolons;
+        const condition = header.slice(first + 1, second).trim();
+        return `${header.slice(0, first + 1)} __vibeStep()${condition ? ` && (${condition})` : ''};${header.slice(second + 1)}`;
+    }
+    const [of] = topLevelPositions(header, (text, i) => /^of\b/.test(text.slice(i, i + 3)) && /\s/.test(text[i - 1] || ''));
+    if (of === undefined) return header; // for-in walks a finite key list
+    return `${header.slice(0, of)}of __vibeSteps(${header.slice(of + 2).trim()})`;
+}
+
+function instrumentLoops(source) {
+    let out = '';
+    let i = 0;
+    const keyword = /(for|while)\b/y;
+    while (i < source.length) {
+        const end = literalEnd(source, i, out.slice(-16));
+        if (end !== -1) {
+            out += source.slice(i, end);
+            i = end;
+            continue;
+        }
+        keyword.lastIndex = i;
+        const match = !/[\w$.]/.test(source[i - 1] || '') && keyword.exec(source);
+        if (match) {
+            let j = i + match[0].length;
+            const prefix = /\s*(await\s*)?/y;
+            prefix.lastIndex = j;
+            j += prefix.exec(source)[0].length;
+            if (source[j] === '(') {
+                const close = matchingBracket(source, j);
+                out += source.slice(i, j + 1) + instrumentLoopHeader(match[1], source.slice(j + 1, close)) + ')';
+                i = close + 1;
+                continue;
+            }
+        }
+        out += source[i];
+        i++;
+    }
+    return out;
+}
+
+// ============= FUNCTION CODEC =============
+
+// Functions are stored as source plus the free variables they declare with declareRequires():
+//   { $vibe: 'function', language, name, source, requires?, bindings? }
+// and rehydrated with new Function, seeing only the globals and the declared requirements
+// (taken from stored bindings, the restore scope or registerFunctionScope). Functions that
+// cannot be rebuilt become stubs that throw, and are listed in `symbol.restoreIssues`.
+// Restoring runs stored source: only load stores you trust.
+
+const FUNCTION_CODECS = new Map(); // language -> { encode(fn) -> source | null, decode(source, bindings) -> fn }
+const FUNCTION_SCOPE = new Map(); // Requirements available to every restored function
+const SHADOWED_GLOBALS = ['require', 'module', 'exports', 'process', 'global', 'globalThis', 'window'];
+
+// Declare the free variables `fn` needs: names to resolve at load time, or an object of
+// values to store alongside the source. Returns `fn`.
+function declareRequires(fn, requirements) {
+    Object.defineProperty(fn, 'vibeRequires', { value: requirements, configurable: true });
+    return fn;
+}
+
+function registerFunctionScope(name, value) {
+    FUNCTION_SCOPE.set(name, value);
+}
+
+// Other languages (e.g. the textual syntax) keep their own source for functions they compile
+function registerFunctionCodec(language, codec) {
+    FUNCTION_CODECS.set(language, codec);
+}
+
+function encodeFunction(fn, copies) {
+    if (fn.vibeUnrestored) return fn.vibeUnrestored.encoded; // Keep the original, not the stub
+    
+    let language = 'js';
+    let source = null;
+    for (const [name, codec] of FUNCTION_CODECS) {
+        source = codec.encode(fn);
+        if (source !== null && source !== undefined) {
+            language = name;
+            break;
+        }
+    }
+    if (source === null || source === undefined) source = Function.prototype.toString.call(fn);
+    
+    const encoded = { $vibe: 'function', language, name: fn.name, source };
+    const requirements = fn.vibeRequires;
+    if (Array.isArray(requirements)) {
+        encoded.requires = requirements.slice();
+    } else if (requirements && typeof requirements === 'object') {
+        encoded.requires = Object.keys(requirements);
+        encoded.bindings = encodeValue(requirements, copies);
+    }
+    return encoded;
+}
+
+// Replace functions and nested symbols with JSON-safe markers; plain objects that happen to
+// have a `$vibe` key are wrapped so they decode unchanged
+function encodeValue(value, copies = new Map()) {
+    if (typeof value === 'function') return encodeFunction(value, copies);
+    if (value instanceof VibeSymbol) return { $vibe: 'symbol', hash: value.hash };
+    if (!isPlainContainer(value)) return value;
+    if (copies.has(value)) return copies.get(value);
+    
+    const copy = Array.isArray(value) ? [] : {};
+    copies.set(value, copy);
+    for (const key of Object.keys(value)) {
+        copy[key] = encodeValue(value[key], copies);
+    }
+    return Object.prototype.hasOwnProperty.call(value, '$vibe') && !Array.isArray(value)
+        ? { $vibe: 'object', value: copy }
+        : copy;
+}
+
+// `context` is { scope, issues }; every function that cannot be rebuilt adds { path, reason }
+function decodeValue(value, context, path = '') {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) {
+        return value.map((item, index) => decodeValue(item, context, `${path}/${index}`));
+    }
+    
+    switch (value.$vibe) {
+        case 'function': return decodeFunction(value, context, path);
+        case 'symbol': return CURRENT_SPACE.symbols.get(value.hash) || null;
+        case 'object': return decodeEntries(value.value, context, path);
+        default: return decodeEntries(value, context, path);
+    }
+}
+
+function decodeEntries(value, context, path) {
+    const decoded = {};
+    for (const key of Object.keys(value)) {
+        decoded[key] = decodeValue(value[key], context, `${path}/${encodePathSegment(key)}`);
+    }
+    return decoded;
+}
+
+function decodeFunction(encoded, context, path) {
+    const fail = reason => {
+        context.issues.push({ path, reason });
+        const stub = function () {
+            throw new Error(`Function at '${path}' could not be restored: ${reason}`);
+        };
+        Object.defineProperty(stub, 'vibeUnrestored', { value: { reason, encoded } });
+        return stub;
+    };
+    
+    const stored = encoded.bindings ? decodeValue(encoded.bindings, context, `${path}/bindings`) : null;
+    const bindings = {};
+    for (const name of encoded.requires || []) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) return fail(`invalid requirement name '${name}'`);
+        if (stored && Object.prototype.hasOwnProperty.call(stored, name)) bindings[name] = stored[name];
+        else if (context.scope && Object.prototype.hasOwnProperty.call(context.scope, name)) bindings[name] = context.scope[name];
+        else if (FUNCTION_SCOPE.has(name)) bindings[name] = FUNCTION_SCOPE.get(name);
+        else if (!(name in globalThis)) return fail(`missing requirement '${name}'`);
+    }
+    
+    const language = encoded.language || 'js';
+    const codec = FUNCTION_CODECS.get(language);
+    if (language !== 'js' && !codec) return fail(`no codec registered for '${language}'`);
+    try {
+        const fn = language === 'js' ? compileFunction(encoded.source, bindings) : codec.decode(encoded.source, bindings);
+        if (typeof fn !== 'function') return fail('source does not evaluate to a function');
+        if (encoded.requires) declareRequires(fn, stored || encoded.requires);
+        return fn;
+    } catch (error) {
+        return fail(error.message);
+    }
+}
+
+// Method shorthand (`name() {}`, `async *name() {}`) needs a `function` keyword to be an expression
+function functionExpressionSource(source) {
+    if (/^(async\s+)?(function\b|class\b|\(|[\w$]+\s*=>)/.test(source)) return source;
+    return source.replace(/^(async\s+)?/, (match, async) => `${async || ''}function `);
+}
+
+function compileFunction(source, bindings) {
+    if (/\{\s*\[native code\]\s*\}\s*$/.test(source)) {
+        throw new Error('native functions cannot be restored');
+    }
+    const names = Object.keys(bindings);
+    const shadowed = SHADOWED_GLOBALS.filter(name => !names.includes(name));
+    const factory = new Function(...shadowed, ...names, `'use strict';\nreturn (${functionExpressionSource(source)});`);
+    return factory(...shadowed.map(() => undefined), ...names.map(name => bindings[name]));
+}
+
+// ============= PERSISTENCE =============
+
+// Symbols are stored as plain JSON records, one per version, keyed by `hash`. A storage adapter
+// implements three Promise-returning methods:
+//   append(records) - store records; a later record for the same hash replaces the earlier one
+//   load()          - every stored record
+//   clear()         - drop everything
+// Function values go through the FUNCTION CODEC.
+
+const PERSISTED_HASHES = new WeakMap(); // adapter -> Set of hashes already stored there
+
+function persistedHashes(adapter) {
+    if (!PERSISTED_HASHES.has(adapter)) PERSISTED_HASHES.set(adapter, new Set());
+    return PERSISTED_HASHES.get(adapter);
+}
+
+function toStorable(value) {
+    const json = safeStringify(value);
+    return json === undefined ? undefined : JSON.parse(json);
+}
+
+function serializeSymbol(symbol) {
+    const metadata = symbol.transformationMetadata || {};
+    const attributes = {};
+    for (const key of ['messageHandlers', 'methods', 'requiredPerms', 'inverse', 'capabilityRestrictions', 'vibeDescription', 'transaction']) {
+        if (symbol[key] !== undefined) attributes[key] = symbol[key];
+    }
+    
+    return toStorable(encodeValue({
+        hash: symbol.hash,
+        coord: symbol.coord,
+        contentHash: symbol.contentHash,
+        value: symbol.value,
+        vibeType: symbol.vibeType,
+        parentHash: symbol.parentHash,
+        history: symbol.history,
+        patchHistory: symbol.patchHistory,
+        capabilities: Array.from(symbol.capabilities)
+            .filter(isStorableToken)
+            .map(token => ({
+                id: token.id,
+                permissions: token.permissions,
+                expiry: token.expiry,
+                expiresAt: token.expiresAt,
+                scope: token.scope,
+                vibeLevel: token.vibeLevel,
+                attenuationChain: token.attenuationChain
+            })),
+        tapeOperations: symbol.tapeOperations.map(op => op.toJSON()),
+        transformationMetadata: {
+            operation: metadata.operation,
+            operands: metadata.operands || [],
+            patch: metadata.structuralDiff ? metadata.structuralDiff.patch : null,
+            tapeState: metadata.tapeState === undefined ? null : metadata.tapeState
+        },
+        attributes
+    }));
+}
+
+// Delegated tokens already carry their effective limits, so they are stored flat. Revocation and
+// caveats are live checks that cannot be written down: caveated, revoked or expired tokens are
+// left out rather than restored with more authority than they had.
+function isStorableToken(token) {
+    if (!(token instanceof VibeToken)) return false;
+    for (let grant = TOKEN_GRANTS.get(token); grant; grant = grant.parent && TOKEN_GRANTS.get(grant.parent)) {
+        if (grant.caveats.length > 0) return false;
+    }
+    return token.check(0) === null;
+}
+
+// Rebuild a stored symbol under its original identity and register it in the current space.
+// `options.scope` supplies requirements declared by stored functions
+function deserializeSymbol(stored, options = {}) {
+    // Only functions in the value count as restore issues; tapes and patches are history
+    const issues = [];
+    const record = decodeValue({ ...stored, value: undefined }, { scope: options.scope, issues: [] });
+    record.value = decodeValue(stored.value, { scope: options.scope, issues });
+    
+    const capabilities = new Set((record.capabilities || []).map(stored => {
+        const token = new VibeToken(stored.permissions, stored.expiry ?? null, stored.vibeLevel, {
+            expiresAt: stored.expiresAt,
+            scope: stored.scope || undefined
+        });
+        token.id = stored.id;
+        token.attenuationChain = stored.attenuationChain || [];
+        return token;
+    }));
+    
+    const symbol = new VibeSymbol(record.value, capabilities, { hash: record.hash, coord: record.coord });
+    symbol.contentHash = record.contentHash; // The stored value's hash, even if decoding lost parts of it
+    symbol.vibeType = record.vibeType || symbol.vibeType;
+    symbol.parentHash = record.parentHash || null;
+    symbol.history = record.history || [];
+    symbol.patchHistory = record.patchHistory || [];
+    if (record.tapeOperations) symbol.tapeOperations = deserializeTape(record.tapeOperations);
+    
+    const metadata = record.transformationMetadata || {};
+    symbol.transformationMetadata = {
+        operation: metadata.operation === undefined ? null : metadata.operation,
+        operands: metadata.operands || [],
+        inverseOperation: null,
+        structuralDiff: metadata.patch ? summarizePatch(metadata.patch) : null,
+        tapeState: metadata.tapeState === undefined ? null : metadata.tapeState
+    };
+    Object.assign(symbol, record.attributes || {});
+    symbol.restoreIssues = issues;
+    if (issues.length > 0) {
+        console.warn(`deserializeSymbol: ${issues.length} function(s) in ${symbol.hash} could not be restored`);
+    }
+    return symbol;
+}
+
+// Write the given symbols that the adapter does not hold yet; resolves to the number written
+function writeSymbols(adapter, symbols) {
+    const persisted = persistedHashes(adapter);
+    const records = symbols
+        .filter(symbol => !persisted.has(symbol.hash) && symbol.space.symbols.get(symbol.hash) === symbol)
+        .map(serializeSymbol);
+    if (records.length === 0) return Promise.resolve(0);
+    
+    records.forEach(record => persisted.add(record.hash));
+    return adapter.append(records).then(() => records.length, error => {
+        records.forEach(record => persisted.delete(record.hash));
+        throw error;
+    });
+}
+
+// Save the current space incrementally (only versions not stored yet), or rewrite it with { full: true }
+async function persistSpace(adapter, options = {}) {
+    if (options.full) {
+        await adapter.clear();
+        persistedHashes(adapter).clear();
+    }
+    return writeSymbols(adapter, Array.from(CURRENT_SPACE.symbols.values()));
+}
+
+// Load stored symbols with their lineage, so vibeRevert works across restarts.
+// Replaces the current space unless { replace: false } (an empty store leaves it alone);
+// { scope } supplies function requirements. Resolves to the number restored
+async function restoreSpace(adapter, options = {}) {
+    const records = await adapter.load();
+    if (records.length === 0) return 0;
+    if (options.replace !== false) clearVibeSpace();
+    
+    const persisted = persistedHashes(adapter);
+    let restored = 0;
+    records.sort((a, b) => a.coord - b.coord);
+    for (const record of records) {
+        persisted.add(record.hash);
+        if (CURRENT_SPACE.symbols.has(record.hash)) continue;
+        deserializeSymbol(record, options);
+        restored++;
+    }
+    
+    // New symbols must not reuse a restored coordinate
+    const lastCoord = records.reduce((max, record) => Math.max(max, record.coord), -1);
+    CURRENT_SPACE.coord = Math.max(CURRENT_SPACE.coord, lastCoord + 1);
+    return restored;
+}
+
+// Persist each new symbol as it is registered. Writes are batched per microtask so
+// lineage set up right after construction is included. Returns { flush, detach }
+function attachStorage(adapter) {
+    const queue = [];
+    let scheduled = null;
+    
+    const flush = () => {
+        scheduled = null;
+        return writeSymbols(adapter, queue.splice(0)).catch(error => {
+            console.warn('attachStorage: write failed', error);
+            return 0;
+        });
+    };
+    const listener = symbol => {
+        queue.push(symbol);
+        if (!scheduled) scheduled = Promise.resolve().then(flush);
+    };
+    
+    const space = CURRENT_SPACE;
+    space.listeners.add(listener);
+    return {
+        flush: () => scheduled || flush(),
+        detach: () => space.listeners.delete(listener)
+    };
+}
+
+// Latest record per hash from an append-only sequence
+function latestRecords(records) {
+    const latest = new Map();
+    records.forEach(record => latest.set(record.hash, record));
+    return Array.from(latest.values());
+}
+
+// In-memory adapter for tests; records are kept as JSON text like the durable adapters
+class MemoryStorageAdapter {
+    constructor() {
+        this.log = [];
+    }
+    
+    append(records) {
+        records.forEach(record => this.log.push(JSON.stringify(record)));
+        return Promise.resolve();
+    }
+    
+    load() {
+        return Promise.resolve(latestRecords(this.log.map(line => JSON.parse(line))));
+    }
+    
+    clear() {
+        this.log = [];
+        return Promise.resolve();
+    }
+}
+
+// Node.js adapter: an append-only JSON-lines log. A torn last line (crash mid-write) is skipped
+// on load; compact() rewrites the log with one line per hash.
+class FileStorageAdapter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = Promise.resolve(); // Serializes file access
+    }
+    
+    enqueue(task) {
+        const run = this.pending.then(task);
+        this.pending = run.catch(() => {});
+        return run;
+    }
+    
+    append(records) {
+        const fs = require('fs');
+        const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+        return this.enqueue(() => fs.promises.appendFile(this.filePath, lines, 'utf8'));
+    }
+    
+    load() {
+        return this.enqueue(() => this.readRecords());
+    }
+    
+    async readRecords() {
+        const fs = require('fs');
+        let text;
+        try {
+            text = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const records = [];
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`FileStorageAdapter: skipping unreadable line ${index + 1} of ${this.filePath}`);
+            }
+        });
+        return latestRecords(records);
+    }
+    
+    clear() {
+        const fs = require('fs');
+        return this.enqueue(() => fs.promises.unlink(this.filePath).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        }));
+    }
+    
+    compact() {
+        const fs = require('fs');
+        return this.enqueue(async () => {
+            const records = await this.readRecords();
+            const tempPath = `${this.filePath}.compact`;
+            await fs.promises.writeFile(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+            return records.length;
+        });
+    }
+}
+
+// Browser adapter: one IndexedDB object store keyed by hash
+class IndexedDBStorageAdapter {
+    constructor(dbName = 'trinity-vibe', storeName = 'symbols') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+    
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'hash' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+    
+    // Run `work(store)` in one transaction; resolves with the result of the request it returns
+    transaction(mode, work) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+    
+    append(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+    
+    load() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+    
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// ============= GARBAGE COLLECTION =============
+
+// Mark and sweep over the current space. Live symbols are the roots and everything they
+// reference: symbols nested in their values, hashes their values name (prototype parents,
+// mixins, instances' prototypes) and ancestors within `retainDepth` / `retainAge`. Roots are
+// retained symbols, branch heads, derived symbols and their inputs, the latest version of every
+// named actor and of every prototype, and the actors spawned on the space's schedulers. Collected ancestors of live symbols are compacted
+// rather than lost: each descendant keeps the patches in its `patchHistory`, and vibeRevert
+// rebuilds them from there. Tapes of live symbols are pruned in the same pass.
+
+// Pin `symbol` as a root. A name moves the pin: retaining another version under the same
+// name releases the previous one (e.g. an activation head that advances).
+function retainSymbol(symbol, name = symbol.hash) {
+    CURRENT_SPACE.retained.set(name, symbol);
+    return symbol;
+}
+
+// Unpin by name, or every name a symbol is retained under
+function releaseSymbol(target) {
+    const retained = CURRENT_SPACE.retained;
+    if (!(target instanceof VibeSymbol)) return retained.delete(target);
+    let released = false;
+    retained.forEach((symbol, name) => {
+        if (symbol === target) released = retained.delete(name);
+    });
+    return released;
+}
+
+function gcRoots(space, extra) {
+    const roots = [...space.retained.values(), ...space.branches.values(), ...extra];
+    space.derived.forEach(derived => roots.push(derived.current, ...derived.sources()));
+    space.schedulers.forEach(scheduler => scheduler.refs.forEach(ref => roots.push(ref.current, ref.initial)));
+    
+    // Named actors and prototypes live at the head of their lineage
+    const parents = new Set();
+    space.symbols.forEach(symbol => {
+        if (symbol.parentHash) parents.add(symbol.parentHash);
+    });
+    space.symbols.forEach(symbol => {
+        const named = symbol.vibeType === 'ACTOR' && symbol.value && typeof symbol.value.name === 'string';
+        if ((named || symbol.vibeType === 'PROTOTYPE') && !parents.has(symbol.hash)) roots.push(symbol);
+    });
+    return roots;
+}
+
+// Every symbol of `space` that `value` holds or names by hash
+function forEachReference(value, space, visit, seen = new Set()) {
+    if (typeof value === 'string') {
+        if (space.symbols.has(value)) visit(space.symbols.get(value));
+        return;
+    }
+    if (value === null || typeof value !== 'object' || seen.has(value)) return;
+    seen.add(value);
+    if (value instanceof VibeSymbol) {
+        visit(value);
+        return;
+    }
+    const items = value instanceof Map ? [...value.keys(), ...value.values()]
+        : value instanceof Set ? Array.from(value)
+        : Object.values(value);
+    items.forEach(item => forEachReference(item, space, visit, seen));
+}
+
+// Collect the current space; `options` override its config and `options.roots` adds roots.
+// Returns { live, reclaimed, compacted, tapeOperationsPruned }
+function collectGarbage(options = {}) {
+    const space = CURRENT_SPACE;
+    const config = { ...space.config, ...options };
+    const live = new Set();
+    const expanded = new Set();
+    const queue = [];
+    const mark = (symbol, root) => {
+        if (!symbol || space.symbols.get(symbol.hash) !== symbol) return;
+        if (live.has(symbol.hash) && (!root || expanded.has(symbol.hash))) return;
+        live.add(symbol.hash);
+        queue.push({ symbol, root });
+    };
+    gcRoots(space, options.roots || []).forEach(symbol => mark(symbol, true));
+    
+    while (queue.length > 0) {
+        const { symbol, root } = queue.pop();
+        forEachReference(symbol.value, space, referenced => mark(referenced, true));
+        if (!root) continue; // Ancestors are kept for reverts, not for their own lineage
+        expanded.add(symbol.hash);
+        for (let depth = 1; depth <= Math.min(config.retainDepth ?? Infinity, symbol.history.length); depth++) {
+            const ancestor = space.symbols.get(symbol.history[symbol.history.length - depth]);
+            if (!ancestor) continue;
+            if (config.retainAge !== null && config.retainAge !== undefined && space.coord - ancestor.coord > config.retainAge) break;
+            mark(ancestor, false);
+        }
+    }
+    
+    const lineage = new Set();
+    live.forEach(hash => space.symbols.get(hash).history.forEach(ancestor => lineage.add(ancestor)));
+    let reclaimed = 0;
+    let compacted = 0;
+    Array.from(space.symbols.keys()).forEach(hash => {
+        if (live.has(hash)) return;
+        space.symbols.delete(hash);
+        reclaimed++;
+        if (lineage.has(hash)) compacted++;
+    });
+    
+    let tapeOperationsPruned = 0;
+    live.forEach(hash => {
+        const symbol = space.symbols.get(hash);
+        const before = symbol.tapeOperations.length;
+        symbol.pruneTapeOperations();
+        tapeOperationsPruned += before - symbol.tapeOperations.length;
+    });
+    
+    space.registered = 0;
+    if (reclaimed > 0) space.index = null; // Rebuilt by the next query
+    return { live: live.size, reclaimed, compacted, tapeOperationsPruned };
+}
+
+// With `collectEvery` set, a collection runs after the current job once enough new symbols
+// were registered, so lineage set up right after construction is seen
+function scheduleCollection(space) {
+    space.registered++;
+    if (space.registered !== space.config.collectEvery) return;
+    Promise.resolve().then(() => inSpace(space, () => collectGarbage()));
+}
+
+// ============= PROVENANCE =============
+
+// A causal graph over the current space, built from what symbols already record: their
+// lineage (`history`, including ancestors that were collected), the transitions on their tapes
+// (which transform, message or method produced each version), the operands of each
+// transformation and the symbols their values hold or name by hash. Edges point from cause to
+// effect and have a kind: 'lineage', 'merge' (the other parent of a merge), 'operand' or
+// 'reference'.
+
+const PROVENANCE_KINDS = ['lineage', 'merge', 'operand', 'reference'];
+
+class ProvenanceIndex {
+    constructor(space) {
+        this.space = space;
+        this.version = ProvenanceIndex.version(space);
+        this.nodes = new Map(); // hash -> { hash, coord, vibeType, collected }
+        this.edges = [];
+        this.incoming = new Map(); // hash -> edges
+        this.outgoing = new Map();
+        this.transitions = new Map(); // output hash -> tape transition data, with its type
+        space.symbols.forEach(symbol => symbol.tapeOperations.forEach(op => {
+            if (op.data && typeof op.data.output === 'string' && op.data.input !== op.data.output) {
+                this.transitions.set(op.data.output, { type: op.type, ...op.data });
+            }
+        }));
+        space.symbols.forEach(symbol => this.addSymbol(symbol));
+    }
+    
+    // Changes whenever symbols are added or removed
+    static version(space) {
+        return `${space.coord}:${space.symbols.size}`;
+    }
+    
+    addSymbol(symbol) {
+        this.addNode(symbol.hash, { coord: symbol.coord, vibeType: symbol.vibeType, collected: false });
+        symbol.patchHistory.forEach(entry => this.addNode(entry.hash, { coord: entry.coord, vibeType: null, collected: true }));
+        symbol.history.forEach(hash => this.addNode(hash, { coord: null, vibeType: null, collected: true }));
+        
+        const chain = [...symbol.history, symbol.hash];
+        for (let i = 1; i < chain.length; i++) this.addEdge(chain[i - 1], chain[i], 'lineage');
+        const merged = symbol.transformationMetadata.merged;
+        if (merged) this.addEdge(merged, symbol.hash, 'merge');
+        (symbol.transformationMetadata.operands || [])
+            .filter(hash => hash !== symbol.parentHash && hash !== merged)
+            .forEach(hash => this.addEdge(hash, symbol.hash, 'operand'));
+        forEachReference(symbol.value, this.space, referenced => {
+            if (referenced !== symbol) this.addEdge(referenced.hash, symbol.hash, 'reference');
+        });
+    }
+    
+    // Symbols in the space win over collected entries; collected ones keep the best known coord
+    addNode(hash, node) {
+        const existing = this.nodes.get(hash);
+        if (existing && (!existing.collected || node.collected)) {
+            if (existing.coord === null) existing.coord = node.coord;
+            return;
+        }
+        this.nodes.set(hash, { hash, ...node, coord: node.coord ?? (existing ? existing.coord : null) });
+    }
+    
+    addEdge(from, to, kind) {
+        const outgoing = this.outgoing.get(from) || [];
+        if (outgoing.some(edge => edge.to === to && edge.kind === kind)) return;
+        if (!this.nodes.has(from)) this.addNode(from, { coord: null, vibeType: null, collected: true });
+        const edge = { from, to, kind, label: kind === 'lineage' ? this.describeTransition(to) : kind };
+        this.edges.push(edge);
+        this.outgoing.set(from, [...outgoing, edge]);
+        this.incoming.set(to, [...(this.incoming.get(to) || []), edge]);
+    }
+    
+    describeTransition(hash) {
+        const transition = this.transitions.get(hash);
+        const symbol = this.space.symbols.get(hash);
+        if (!transition) {
+            const operation = symbol && symbol.transformationMetadata.operation;
+            return typeof operation === 'string' ? operation : 'derive';
+        }
+        if (transition.transform) return `transform ${transition.transform.slice(0, 8)}`;
+        if (transition.message !== undefined) return `step ${transition.message}`;
+        if (transition.method) return `call ${transition.method}`;
+        return transition.operation ? `${transition.type} ${transition.operation}` : transition.type;
+    }
+    
+    // Hashes reachable against (ancestors) or along (descendants) edges of the given kinds,
+    // nearest first
+    walk(hash, direction, kinds = ['lineage']) {
+        const adjacency = direction === 'up' ? this.incoming : this.outgoing;
+        const seen = new Set([hash]);
+        const found = [];
+        let frontier = [hash];
+        while (frontier.length > 0) {
+            const next = [];
+            frontier.forEach(current => (adjacency.get(current) || []).forEach(edge => {
+                const neighbour = direction === 'up' ? edge.from : edge.to;
+                if (!kinds.includes(edge.kind) || seen.has(neighbour)) return;
+                seen.add(neighbour);
+                found.push(neighbour);
+                next.push(neighbour);
+            }));
+            frontier = next;
+        }
+        return found;
+    }
+    
+    ancestors(target, { kinds } = {}) {
+        return this.walk(hashOf(target), 'up', kinds);
+    }
+    
+    descendants(target, { kinds } = {}) {
+        return this.walk(hashOf(target), 'down', kinds);
+    }
+    
+    // Everything derived from `target` through any kind of edge ("what derives from this config")
+    impact(target) {
+        return this.descendants(target, { kinds: PROVENANCE_KINDS });
+    }
+    
+    // The transitions that produced `target` from its lineage root, oldest first, with the
+    // symbols used as operands along the way
+    contributors(target) {
+        const hash = hashOf(target);
+        const lineage = [hash, ...this.ancestors(hash)].reverse();
+        return lineage.slice(1).map((output, index) => ({
+            input: lineage[index],
+            output,
+            transition: this.describeTransition(output),
+            operands: (this.incoming.get(output) || []).filter(edge => edge.kind === 'operand').map(edge => edge.from)
+        }));
+    }
+    
+    // The most recent version both descend from (through lineage and merges), or null
+    commonAncestor(a, b) {
+        const kinds = ['lineage', 'merge'];
+        const [hashA, hashB] = [hashOf(a), hashOf(b)];
+        const ofA = new Set([hashA, ...this.ancestors(hashA, { kinds })]);
+        const shared = [hashB, ...this.ancestors(hashB, { kinds })].filter(hash => ofA.has(hash));
+        const coord = hash => this.nodes.get(hash).coord ?? -1;
+        return shared.reduce((best, hash) => best === null || coord(hash) > coord(best) ? hash : best, null);
+    }
+    
+    // The subgraph around `focus` (its ancestors and descendants), or everything
+    subgraph({ focus = null, kinds = PROVENANCE_KINDS } = {}) {
+        const included = focus
+            ? new Set([hashOf(focus), ...this.ancestors(focus, { kinds }), ...this.descendants(focus, { kinds })])
+            : new Set(this.nodes.keys());
+        return {
+            nodes: Array.from(this.nodes.values()).filter(node => included.has(node.hash)),
+            edges: this.edges.filter(edge => kinds.includes(edge.kind) && included.has(edge.from) && included.has(edge.to))
+        };
+    }
+    
+    toJSON(options) {
+        return this.subgraph(options);
+    }
+    
+    // Graphviz source; merge edges are bold, operand edges dashed, reference edges dotted and
+    // collected versions grey
+    toDOT(options) {
+        const { nodes, edges } = this.subgraph(options);
+        const quote = text => JSON.stringify(String(text));
+        const lines = ['digraph provenance {', '    rankdir=LR;', '    node [shape=box, fontname="monospace"];'];
+        nodes.forEach(node => {
+            const label = `${node.hash.slice(0, 8)}\n${node.vibeType || 'collected'}${node.coord === null ? '' : ` @${node.coord}`}`;
+            lines.push(`    ${quote(node.hash)} [label=${quote(label)}${node.collected ? ', style=dashed, color=gray' : ''}];`);
+        });
+        const styles = { lineage: '', merge: ', style=bold', operand: ', style=dashed', reference: ', style=dotted' };
+        edges.forEach(edge => lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.label)}${styles[edge.kind]}];`));
+        lines.push('}');
+        return lines.join('\n');
+    }
+}
+
+function hashOf(target) {
+    return target instanceof VibeSymbol ? target.hash : target;
+}
+
+// The provenance index of the current space, rebuilt when symbols were added or removed
+function getProvenance() {
+    const space = CURRENT_SPACE;
+    if (!space.provenance || space.provenance.version !== ProvenanceIndex.version(space)) {
+        space.provenance = new ProvenanceIndex(space);
+    }
+    return space.provenance;
+}
+
+// ============= TIMELINES =============
+
+// Named branches over lineage, git-style. A branch is a head symbol; deriving a new version from
+// a head (vibeTransform, stepActor, callMethod, merge) moves that head forward, preferring the
+// current branch when several share it. Deriving from an older version of a branch starts a new
+// branch instead of an untracked one. merge() is a three-way merge from the common ancestor:
+// changes to different paths combine, and both sides touching the same path is a conflict.
+// Arrays merge as a whole, since their element paths shift with every insertion.
+
+function fork(symbol, name = uniqueBranchName('branch')) {
+    const home = foreignSpace(symbol);
+    if (home) return inSpace(home, () => fork(symbol, name));
+    if (CURRENT_SPACE.branches.has(name)) throw new Error(`Branch already exists: ${name}`);
+    CURRENT_SPACE.branches.set(name, symbol);
+    return name;
+}
+
+// Make `name` the current branch and return its head
+function checkout(name) {
+    const head = branchHead(name);
+    CURRENT_SPACE.currentBranch = name;
+    return head;
+}
+
+function listBranches() {
+    return Array.from(CURRENT_SPACE.branches, ([name, head]) => ({
+        name,
+        head,
+        coord: head.coord,
+        current: name === CURRENT_SPACE.currentBranch
+    }));
+}
+
+function deleteBranch(name) {
+    if (CURRENT_SPACE.currentBranch === name) CURRENT_SPACE.currentBranch = null;
+    return CURRENT_SPACE.branches.delete(name);
+}
+
+function branchHead(target) {
+    if (typeof target !== 'string') return target;
+    const head = CURRENT_SPACE.branches.get(target);
+    if (!head) throw new Error(`Unknown branch: ${target}`);
+    return head;
+}
+
+function uniqueBranchName(base) {
+    let name = base;
+    for (let n = 2; CURRENT_SPACE.branches.has(name); n++) name = `${base}-${n}`;
+    return name;
+}
+
+// Move the branch whose head was `from` to `to`, or start a new branch when `from` is an
+// older version of one
+function advanceBranches(from, to, { track = true } = {}) {
+    const branches = CURRENT_SPACE.branches;
+    if (branches.size === 0 || from === to) return;
+    const heads = Array.from(branches.keys()).filter(name => branches.get(name).hash === from.hash);
+    if (heads.length > 0) {
+        branches.set(heads.includes(CURRENT_SPACE.currentBranch) ? CURRENT_SPACE.currentBranch : heads[0], to);
+        return;
+    }
+    const owner = track && Array.from(branches.keys()).find(name => branches.get(name).history.includes(from.hash));
+    if (owner) {
+        const name = uniqueBranchName(`${owner}@${from.coord}`);
+        branches.set(name, to);
+    }
+}
+
+// Merge `theirs` into `ours` (symbols or branch names). Returns { symbol, base, conflicts,
+// fastForward }; `symbol` is null while conflicts remain. `options.resolve` settles them:
+// 'ours', 'theirs' or (conflict) => value, where a conflict is { path, base, ours, theirs }.
+function merge(ours, theirs, options = {}) {
+    const home = foreignSpace(ours);
+    if (home) return inSpace(home, () => merge(ours, theirs, options));
+    const head = branchHead(ours);
+    const other = branchHead(theirs);
+    if (!authorize(head, 'write', 'merge')) throw capabilityDenied(head, 'write', 'merge');
+    if (!authorize(other, 'read', 'merge')) throw capabilityDenied(other, 'read', 'merge');
+    
+    const baseHash = getProvenance().commonAncestor(head, other);
+    if (baseHash === other.hash) return { symbol: head, base: baseHash, conflicts: [], fastForward: false };
+    if (baseHash === head.hash) {
+        advanceBranches(head, other, { track: false });
+        return { symbol: other, base: baseHash, conflicts: [], fastForward: true };
+    }
+    
+    const base = baseHash ? findVersion(baseHash, [head, other]) : null;
+    if (baseHash && !base) throw new Error(`Cannot merge: common ancestor ${baseHash} is no longer available`);
+    const merged = mergeValues(base ? base.value : undefined, head.value, other.value);
+    const unresolved = merged.conflicts.filter(conflict => {
+        const resolution = options.resolve === 'ours' ? conflict.ours
+            : options.resolve === 'theirs' ? conflict.theirs
+            : typeof options.resolve === 'function' ? options.resolve(conflict)
+            : MERGE_UNRESOLVED;
+        if (resolution === MERGE_UNRESOLVED) return true;
+        merged.value = writePath(merged.value, conflict.path, resolution);
+        return false;
+    });
+    if (unresolved.length > 0) return { symbol: null, base: baseHash, conflicts: unresolved, fastForward: false };
+    
+    const result = new VibeSymbol(merged.value, head.capabilities);
+    result.vibeType = head.vibeType;
+    if (head.vibeType === 'ACTOR') result.messageHandlers = head.messageHandlers;
+    const patch = linkLineage(result, head);
+    result.tapeOperations = [
+        ...head.tapeOperations,
+        recordTransition('merge', { input: head.hash, output: result.hash, merged: other.hash, base: baseHash }, patch, result.coord)
+    ];
+    result.transformationMetadata = {
+        operation: 'merge',
+        operands: [head.hash, other.hash],
+        merged: other.hash,
+        inverseOperation: head.createStructuralInverse(),
+        structuralDiff: summarizePatch(patch),
+        tapeState: head.tapeOperations.length
+    };
+    result.pruneTapeOperations();
+    
+    publishVersion(head, result);
+    sessionEvent('merge', head.hash, result.hash);
+    return { symbol: result, base: baseHash, conflicts: merged.conflicts, fastForward: false };
+}
+
+const MERGE_UNRESOLVED = Symbol('unresolved');
+
+// A version by hash: from the space, or rebuilt from the patches of a descendant
+function findVersion(hash, candidates) {
+    if (CURRENT_SPACE.symbols.has(hash)) return CURRENT_SPACE.symbols.get(hash);
+    const descendant = [...candidates, ...CURRENT_SPACE.symbols.values()].find(symbol => symbol.history.includes(hash));
+    if (!descendant) return null;
+    const version = vibeRevert(descendant, descendant.history.length - descendant.history.indexOf(hash));
+    return version.hash === hash ? version : null;
+}
+
+// Three-way merge of plain values: theirs' changes are applied on top of ours unless ours
+// changed an overlapping path to something else
+function mergeValues(base, ours, theirs) {
+    const ourPaths = diffValues(base, ours).map(operation => mergedPath(base, operation));
+    const conflicts = new Map();
+    const clean = diffValues(base, theirs).filter(operation => {
+        const path = mergedPath(base, operation);
+        const clash = ourPaths.find(mine => coversPath(mine, path) || coversPath(path, mine));
+        if (clash === undefined) return true;
+        const at = clash.length < path.length ? clash : path;
+        const [atOurs, atTheirs] = [readPointer(ours, at), readPointer(theirs, at)];
+        if (canonicalize(atOurs) !== canonicalize(atTheirs)) {
+            conflicts.set(at, { path: at, base: readPointer(base, at), ours: atOurs, theirs: atTheirs });
+        }
+        return false;
+    });
+    return {
+        value: applyPatch(ours, clean),
+        conflicts: Array.from(conflicts.values())
+            .filter(conflict => !Array.from(conflicts.keys()).some(path => path !== conflict.path && coversPath(path, conflict.path)))
+    };
+}
+
+// The path a change is merged at: its own, or the array that contains it
+function mergedPath(base, operation) {
+    const segments = parsePath(operation.op === 'move' ? operation.from : operation.path);
+    let current = base;
+    for (let i = 0; i < segments.length; i++) {
+        if (Array.isArray(current)) return segments.slice(0, i).map(segment => `/${encodePathSegment(segment)}`).join('');
+        current = current !== null && typeof current === 'object' ? current[segments[i]] : undefined;
+    }
+    return operation.path;
+}
+
+function readPointer(value, path) {
+    try {
+        return readPath(value, parsePath(path));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Set the value at `path`; undefined removes it
+function writePath(value, path, replacement) {
+    if (path === '') return cloneValue(replacement);
+    const segments = parsePath(path);
+    const parent = readPointer(value, path.slice(0, path.lastIndexOf('/')));
+    const exists = parent !== null && typeof parent === 'object' && segments[segments.length - 1] in parent;
+    if (replacement === undefined) return exists ? applyOperation(value, { op: 'remove', path }) : value;
+    return applyOperation(value, { op: exists ? 'replace' : 'add', path, value: replacement });
+}
+
+// ============= REACTIVITY =============
+
+// Subscriptions follow a lineage: every version descending from the same first version, through
+// vibeTransform, stepActor, callMethod or merge. A derived symbol is a lineage of its own whose
+// next version is computed from the newest versions of its inputs whenever one of them changes,
+// memoized by the inputs' content hashes; a result equal to the current value stops there.
+// Propagation is glitch-free: derived symbols recompute in rank order (one more than their
+// deepest input), so each runs once per change and never sees a half-updated graph, and
+// subscribers are called after everything has settled, once per lineage with its newest version.
+
+const PROPAGATION_ROUND_LIMIT = 100; // Subscribers that keep changing what they observe
+
+class DerivedSymbol {
+    constructor(inputs, transform, options = {}) {
+        this.space = CURRENT_SPACE;
+        this.inputs = inputs; // Symbols (any version of their lineage) or DerivedSymbols
+        this.transform = transform;
+        this.rank = 1 + Math.max(0, ...inputs.map(input => input instanceof DerivedSymbol ? input.rank : 0));
+        this.memo = new Map(); // Content hashes of the inputs -> value
+        this.memoLimit = options.memoLimit ?? 64;
+        this.computations = 0;
+        this.current = null;
+        this.recompute();
+        const subscription = { callback: null, derived: this };
+        this.unsubscribers = inputs.map(input => addSubscription(this.space, input, subscription));
+        this.space.derived.add(this);
+    }
+    
+    get value() {
+        return this.current.value;
+    }
+    
+    get lineage() {
+        return lineageOf(this.current);
+    }
+    
+    // The newest version of each input
+    sources() {
+        return this.inputs.map(input => input instanceof DerivedSymbol
+            ? input.current
+            : this.space.heads.get(lineageOf(input)) || input);
+    }
+    
+    recompute() {
+        const sources = this.sources();
+        const key = vibeHash(...sources.map(source => source.contentHash));
+        let value;
+        if (this.memo.has(key)) {
+            value = this.memo.get(key);
+        } else {
+            try {
+                value = runVibeCode(this.transform.sandbox, this.transform, this.transform.value, undefined, sources.map(source => source.value)).out;
+            } catch (error) {
+                console.error(`derive: transform failed, keeping ${this.current ? this.current.hash : 'no value'}:`, error);
+                return;
+            }
+            this.computations++;
+            this.memo.set(key, value);
+            if (this.memo.size > this.memoLimit) this.memo.delete(this.memo.keys().next().value);
+        }
+        if (this.current && computeContentHash(value) === this.current.contentHash) return;
+        
+        const previous = this.current;
+        const next = new VibeSymbol(value, previous ? previous.capabilities : null);
+        const operands = [...sources.map(source => source.hash), this.transform.hash];
+        next.transformationMetadata.operation = 'derive';
+        next.transformationMetadata.operands = operands;
+        this.current = next;
+        if (!previous) return;
+        
+        const patch = linkLineage(next, previous);
+        next.tapeOperations = [
+            ...previous.tapeOperations,
+            recordTransition('derive', { input: previous.hash, output: next.hash, transform: this.transform.hash, sources: operands.slice(0, -1) }, patch, next.coord)
+        ];
+        next.transformationMetadata = {
+            operation: 'derive',
+            operands: [previous.hash, ...operands],
+            inverseOperation: previous.createStructuralInverse(),
+            structuralDiff: summarizePatch(patch),
+            tapeState: previous.tapeOperations.length
+        };
+        next.pruneTapeOperations();
+        publishVersion(previous, next);
+    }
+    
+    subscribe(callback) {
+        return subscribe(this, callback);
+    }
+    
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.space.derived.delete(this);
+    }
+}
+
+// A symbol computed from `inputs` by `transform` (a function or function vibe), kept current
+function derive(inputs, transform, options = {}) {
+    const list = Array.isArray(inputs) ? inputs : [inputs];
+    const home = list.map(input => input.space).find(space => space !== CURRENT_SPACE);
+    if (home) return inSpace(home, () => derive(list, transform, options));
+    list.forEach(input => {
+        if (input instanceof VibeSymbol && !authorize(input, 'read', 'derive')) throw capabilityDenied(input, 'read', 'derive');
+    });
+    const vibe = transform instanceof VibeSymbol ? transform : createVibeFunction(transform, options);
+    if (!authorize(vibe, (vibe.requiredPerms || 0) | PERMISSION_BITS.execute, 'derive')) {
+        throw capabilityDenied(vibe, 'execute', 'derive');
+    }
+    return new DerivedSymbol(list, vibe, options);
+}
+
+// Call `callback(next, previous)` with the newest version whenever the lineage of `target`
+// (a symbol or DerivedSymbol) gets new versions; returns the unsubscribe function
+function subscribe(target, callback) {
+    const space = target.space;
+    if (target instanceof VibeSymbol && !inSpace(space, () => authorize(target, 'read', 'subscribe'))) {
+        throw capabilityDenied(target, 'read', 'subscribe');
+    }
+    return addSubscription(space, target, { callback, derived: null });
+}
+
+// Make the changes `fn` makes, then propagate them together
+function batch(fn) {
+    const space = CURRENT_SPACE;
+    const propagation = space.propagation || (space.propagation = { changed: new Map(), depth: 0 });
+    propagation.depth++;
+    try {
+        return fn();
+    } finally {
+        propagation.depth--;
+        if (propagation.depth === 0) propagate(space);
+    }
+}
+
+function lineageOf(target) {
+    const symbol = target instanceof DerivedSymbol ? target.current : target;
+    return symbol.history.length > 0 ? symbol.history[0] : symbol.hash;
+}
+
+function addSubscription(space, target, subscription) {
+    const lineage = lineageOf(target);
+    if (!space.subscriptions.has(lineage)) space.subscriptions.set(lineage, new Set());
+    if (!space.heads.has(lineage)) space.heads.set(lineage, target instanceof DerivedSymbol ? target.current : target);
+    space.subscriptions.get(lineage).add(subscription);
+    return () => {
+        const subscriptions = space.subscriptions.get(lineage);
+        if (!subscriptions || !subscriptions.delete(subscription) || subscriptions.size > 0) return;
+        space.subscriptions.delete(lineage);
+        space.heads.delete(lineage);
+    };
+}
+
+// A new version `to` derived from `from`: move branch heads, then notify its lineage.
+// Versions staged in a transaction are published when it commits.
+function publishVersion(from, to) {
+    const space = CURRENT_SPACE;
+    if (space.transaction) return;
+    advanceBranches(from, to);
+    const lineage = lineageOf(to);
+    if (!space.subscriptions.has(lineage)) return;
+    const propagation = space.propagation || (space.propagation = { changed: new Map(), depth: 0 });
+    if (!propagation.changed.has(lineage)) propagation.changed.set(lineage, space.heads.get(lineage));
+    space.heads.set(lineage, to);
+    if (propagation.depth === 0) propagate(space);
+}
+
+function propagate(space) {
+    const propagation = space.propagation;
+    propagation.depth++;
+    try {
+        for (let round = 0; propagation.changed.size > 0; round++) {
+            if (round === PROPAGATION_ROUND_LIMIT) {
+                console.warn(`propagate: still changing after ${round} rounds, stopping`);
+                propagation.changed.clear();
+                break;
+            }
+            const notify = new Map(); // Lineage -> version before this round
+            const stale = new Set();
+            const collect = () => {
+                propagation.changed.forEach((previous, lineage) => {
+                    if (!notify.has(lineage)) notify.set(lineage, previous);
+                    (space.subscriptions.get(lineage) || []).forEach(({ derived }) => derived && stale.add(derived));
+                });
+                propagation.changed.clear();
+            };
+            collect();
+            while (stale.size > 0) {
+                const next = Array.from(stale).reduce((lowest, derived) => derived.rank < lowest.rank ? derived : lowest);
+                stale.delete(next);
+                next.recompute();
+                collect();
+            }
+            
+            notify.forEach((previous, lineage) => {
+                const head = space.heads.get(lineage);
+                if (!head || head === previous) return;
+                Array.from(space.subscriptions.get(lineage) || []).forEach(({ callback }) => {
+                    if (!callback) return;
+                    try {
+                        callback(head, previous);
+                    } catch (error) {
+                        console.error('subscribe: callback error:', error);
+                    }
+                });
+            });
+        }
+    } finally {
+        propagation.depth--;
+    }
+}
+
+// ============= TRANSACTIONS =============
+
+// vibeTransaction(fn) stages every version created while `fn` runs in the current space. If
+// `fn` returns, the transaction commits: each staged head is relinked to the version it started
+// from with a single 'transaction' tape entry holding the net change, intermediate versions are
+// dropped, and all heads are published together (branches, subscribers, storage listeners), so
+// nobody observes half of it. If `fn` throws or a capability check fails, every staged version
+// is removed and the space is as it was. Staged heads share the transaction's coordinate as
+// `symbol.transaction.coord`; each keeps its own coordinate for its identity.
+
+function vibeTransaction(fn) {
+    const space = CURRENT_SPACE;
+    if (space.transaction) return fn(); // Nested transactions join the outer one
+    
+    const transaction = { id: vibeHash('transaction', space.coord), coord: space.coord, staged: new Set(), denied: null };
+    space.transaction = transaction;
+    let result;
+    try {
+        result = fn();
+        if (result && typeof result.then === 'function') throw new Error('vibeTransaction: the function must be synchronous');
+        if (transaction.denied) throw transaction.denied;
+    } catch (error) {
+        space.transaction = null;
+        transaction.staged.forEach(symbol => space.symbols.delete(symbol.hash));
+        if (space.debugger) space.debugger.rollBack(transaction.id);
+        throw error;
+    }
+    space.transaction = null;
+    commitTransaction(space, transaction);
+    return result;
+}
+
+function commitTransaction(space, transaction) {
+    const staged = transaction.staged;
+    const parents = new Set(Array.from(staged, symbol => symbol.parentHash));
+    const heads = Array.from(staged).filter(symbol => !parents.has(symbol.hash));
+    const origins = new Map(heads.map(head => [head, transactionOrigin(head, staged)]));
+    const stamp = { id: transaction.id, coord: transaction.coord, committedAt: space.coord - 1, symbols: heads.map(head => head.hash) };
+    
+    staged.forEach(symbol => {
+        if (!heads.includes(symbol)) space.symbols.delete(symbol.hash);
+    });
+    heads.forEach(head => {
+        const origin = origins.get(head);
+        const steps = head.tapeOperations.filter(op => op.coord > (origin ? origin.coord : -1) && op.operations)
+            .map(op => ({ type: op.type, ...op.data }));
+        head.transaction = stamp;
+        if (!origin) {
+            head.parentHash = null;
+            head.history = [];
+            head.patchHistory = [];
+            head.tapeOperations = tapeUntil([], head.coord, head.value);
+            return;
+        }
+        const patch = linkLineage(head, origin);
+        head.tapeOperations = [
+            ...origin.tapeOperations,
+            recordTransition('transaction', { input: origin.hash, output: head.hash, transaction: transaction.id, coord: transaction.coord, steps }, patch, head.coord)
+        ];
+        head.transformationMetadata = {
+            operation: 'transaction',
+            operands: [origin.hash],
+            inverseOperation: origin.createStructuralInverse(),
+            structuralDiff: summarizePatch(patch),
+            tapeState: origin.tapeOperations.length
+        };
+    });
+    
+    if (space.index) space.index.pending.push(...heads); // Relinked into other lineages
+    heads.forEach(head => space.listeners.forEach(listener => listener(head)));
+    batch(() => heads.forEach(head => {
+        const origin = origins.get(head);
+        if (origin) publishVersion(origin, head);
+    }));
+}
+
+// The version a staged head was derived from before the transaction, or null if it started there
+function transactionOrigin(head, staged) {
+    let current = head;
+    while (staged.has(current)) {
+        const parent = current.parentHash && (current.space.symbols.get(current.parentHash) || reconstructParent(current));
+        if (!parent) return null;
+        current = parent;
+    }
+    return current;
+}
+
+// ============= QUERIES =============
+
+// querySymbols(query) selects symbols of the current space, ordered by coordinate. A query is
+// an object or a string in the query syntax (see parseQuery):
+//   type        vibeType or list of them            coord       n, [from, to] or { from, to }
+//   has         property names structure.properties must include
+//   perms       bitmask or letters ('rw') a capability of the symbol grants
+//   lineage     symbol or hash: same lineage        childOf     symbol or hash: direct children
+//   ancestorOf  symbol or hash: its history         descendantOf  symbol or hash
+//   contentHash                                     where       (value, symbol) => boolean, or
+//   limit, order ('coord' or '-coord')                          [{ path, op, value }]
+// Secondary indexes (type, property, lineage, parent, content hash, coordinate) are built by the
+// first query and kept up to date from then on: registering a symbol queues it, and the next
+// query indexes the queue, once the entry point that created it has finished setting it up.
+// Removed symbols are skipped when read, and a collection rebuilds the indexes.
+
+const QUERY_PERMISSION_LETTERS = { r: PERMISSION_BITS.read, w: PERMISSION_BITS.write, x: PERMISSION_BITS.execute, n: PERMISSION_BITS.network };
+const QUERY_OPERATORS = {
+    '=': (a, b) => canonicalize(a) === canonicalize(b),
+    '!=': (a, b) => canonicalize(a) !== canonicalize(b),
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '~': (a, b) => (Array.isArray(a) || typeof a === 'string') && a.includes(b)
+};
+
+class SymbolIndex {
+    constructor(space) {
+        this.space = space;
+        this.pending = Array.from(space.symbols.values());
+        this.types = new Map();
+        this.properties = new Map();
+        this.lineages = new Map();
+        this.children = new Map();
+        this.contents = new Map();
+        this.coords = []; // Symbols ordered by coord
+        this.keys = new Map(); // Symbol -> the [index, key] pairs it was added under
+    }
+    
+    update() {
+        if (this.pending.length === 0) return;
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(symbol => this.add(symbol));
+    }
+    
+    add(symbol) {
+        const previous = this.keys.get(symbol);
+        if (previous) previous.forEach(([index, key]) => index.get(key).delete(symbol));
+        else this.insertByCoord(symbol);
+        
+        const keys = [
+            [this.types, symbol.vibeType],
+            [this.lineages, lineageOf(symbol)],
+            [this.contents, symbol.contentHash],
+            ...(symbol.parentHash ? [[this.children, symbol.parentHash]] : []),
+            ...((symbol.structure && symbol.structure.properties) || []).map(property => [this.properties, property])
+        ];
+        keys.forEach(([index, key]) => {
+            if (!index.has(key)) index.set(key, new Set());
+            index.get(key).add(symbol);
+        });
+        this.keys.set(symbol, keys);
+    }
+    
+    insertByCoord(symbol) {
+        const coords = this.coords;
+        if (coords.length === 0 || coords[coords.length - 1].coord <= symbol.coord) {
+            coords.push(symbol);
+            return;
+        }
+        coords.splice(this.firstAtOrAfter(symbol.coord), 0, symbol);
+    }
+    
+    firstAtOrAfter(coord) {
+        let low = 0;
+        let high = this.coords.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.coords[middle].coord < coord) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+    
+    range(from, to) {
+        return this.coords.slice(this.firstAtOrAfter(from), to === Infinity ? undefined : this.firstAtOrAfter(to + 1));
+    }
+    
+    lookup(index, key) {
+        return Array.from(index.get(key) || []);
+    }
+}
+
+function querySymbols(query = {}) {
+    const space = CURRENT_SPACE;
+    const q = typeof query === 'string' ? parseQuery(query) : query;
+    if (!space.index) space.index = new SymbolIndex(space);
+    const index = space.index;
+    index.update();
+    
+    const target = key => {
+        const value = q[key];
+        const hash = value instanceof VibeSymbol ? value.hash : value;
+        return space.symbols.get(hash) || queryFailure(`${key}: unknown symbol ${hash}`);
+    };
+    const types = q.type === undefined ? null : [].concat(q.type);
+    const properties = q.has === undefined ? [] : [].concat(q.has);
+    const [from, to] = coordRange(q.coord);
+    const perms = typeof q.perms === 'string'
+        ? Array.from(q.perms).reduce((bits, letter) => bits | (QUERY_PERMISSION_LETTERS[letter] || queryFailure(`perms: unknown permission '${letter}'`)), 0)
+        : q.perms;
+    const predicates = q.where === undefined ? [] : [].concat(q.where).map(wherePredicate);
+    
+    // Start from the smallest indexed candidate set, then check every condition
+    const candidates = [];
+    if (types) candidates.push(types.flatMap(type => index.lookup(index.types, type)));
+    properties.forEach(property => candidates.push(index.lookup(index.properties, property)));
+    if (q.contentHash !== undefined) candidates.push(index.lookup(index.contents, q.contentHash));
+    if (q.lineage !== undefined) candidates.push(index.lookup(index.lineages, lineageOf(target('lineage'))));
+    if (q.descendantOf !== undefined) candidates.push(index.lookup(index.lineages, lineageOf(target('descendantOf'))));
+    if (q.childOf !== undefined) candidates.push(index.lookup(index.children, target('childOf').hash));
+    if (q.ancestorOf !== undefined) candidates.push(target('ancestorOf').history.map(hash => space.symbols.get(hash)).filter(Boolean));
+    if (from > -Infinity || to < Infinity) candidates.push(index.range(from, to));
+    const smallest = candidates.reduce((best, list) => best === null || list.length < best.length ? list : best, null) || index.coords;
+    
+    const lineage = q.lineage === undefined ? null : lineageOf(target('lineage'));
+    const ancestor = q.descendantOf === undefined ? null : target('descendantOf').hash;
+    const descendant = q.ancestorOf === undefined ? null : target('ancestorOf');
+    const parent = q.childOf === undefined ? null : target('childOf').hash;
+    const results = smallest.filter(symbol =>
+        space.symbols.get(symbol.hash) === symbol &&
+        (!types || types.includes(symbol.vibeType)) &&
+        symbol.coord >= from && symbol.coord <= to &&
+        properties.every(property => symbol.structure && (symbol.structure.properties || []).includes(property)) &&
+        (q.contentHash === undefined || symbol.contentHash === q.contentHash) &&
+        (!lineage || lineageOf(symbol) === lineage) &&
+        (!ancestor || symbol.history.includes(ancestor)) &&
+        (!descendant || descendant.history.includes(symbol.hash)) &&
+        (!parent || symbol.parentHash === parent) &&
+        (!perms || Array.from(symbol.capabilities).some(token => token instanceof VibeToken && token.check(perms, symbol, { entry: 'querySymbols' }) === null)) &&
+        predicates.every(predicate => predicate(symbol.value, symbol))
+    );
+    
+    results.sort((a, b) => q.order === '-coord' ? b.coord - a.coord : a.coord - b.coord);
+    return q.limit === undefined ? results : results.slice(0, q.limit);
+}
+
+function coordRange(coord) {
+    if (coord === undefined) return [-Infinity, Infinity];
+    if (typeof coord === 'number') return [coord, coord];
+    if (Array.isArray(coord)) return [coord[0] ?? -Infinity, coord[1] ?? Infinity];
+    return [coord.from ?? -Infinity, coord.to ?? Infinity];
+}
+
+function wherePredicate(condition) {
+    if (typeof condition === 'function') return condition;
+    const compare = QUERY_OPERATORS[condition.op] || queryFailure(`where: unknown operator '${condition.op}'`);
+    const segments = typeof condition.path === 'string' ? condition.path.split('.').filter(Boolean) : condition.path;
+    return value => {
+        const actual = segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+        return actual !== undefined && compare(actual, condition.value);
+    };
+}
+
+function queryFailure(message) {
+    const error = new Error(`querySymbols: ${message}`);
+    error.code = 'QUERY_ERROR';
+    throw error;
+}
+
+// The string syntax: whitespace-separated terms, all of which must match.
+//   type:ACTOR,PROTOTYPE  coord:10..20  coord:..5  has:name,state  perms:rw  limit:10  order:-coord
+//   lineage:<hash>  child-of:<hash>  ancestor-of:<hash>  descendant-of:<hash>  content:<hash>
+//   state.count>=3  name="Ada Lovelace"  tags~urgent      (operators = != > >= < <= ~)
+// Hashes may be shortened to a unique prefix. Values are JSON literals or bare words.
+function parseQuery(text) {
+    const terms = text.match(/(?:[^\s"]+|"(?:[^"\\]|\\.)*")+/g) || [];
+    const query = {};
+    const field = { lineage: 'lineage', 'child-of': 'childOf', 'ancestor-of': 'ancestorOf', 'descendant-of': 'descendantOf' };
+    terms.forEach(term => {
+        const predicate = term.match(/^([\w.$]+)(!=|>=|<=|=|>|<|~)(.*)$/);
+        const option = term.match(/^([a-z-]+):(.*)$/);
+        if (option && !predicate) {
+            const [, key, value] = option;
+            if (key === 'type') query.type = value.split(',');
+            else if (key === 'has') query.has = value.split(',');
+            else if (key === 'coord') query.coord = value.includes('..')
+                ? value.split('..').map(bound => (bound === '' ? undefined : queryNumber(bound)))
+                : queryNumber(value);
+            else if (key === 'perms') query.perms = /^\d+$/.test(value) ? Number(value) : value;
+            else if (key === 'limit') query.limit = queryNumber(value);
+            else if (key === 'order') query.order = value;
+            else if (key === 'content') query.contentHash = value;
+            else if (field[key]) query[field[key]] = resolveHashPrefix(value);
+            else queryFailure(`unknown term '${key}'`);
+        } else if (predicate) {
+            query.where = [...(query.where || []), { path: predicate[1], op: predicate[2], value: queryLiteral(predicate[3]) }];
+        } else {
+            queryFailure(`cannot parse '${term}'`);
+        }
+    });
+    return query;
+}
+
+function queryNumber(text) {
+    const number = Number(text);
+    return Number.isFinite(number) ? number : queryFailure(`expected a number, got '${text}'`);
+}
+
+function queryLiteral(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function resolveHashPrefix(prefix) {
+    if (CURRENT_SPACE.symbols.has(prefix)) return prefix;
+    const matches = Array.from(CURRENT_SPACE.symbols.keys()).filter(hash => hash.startsWith(prefix));
+    if (matches.length !== 1) queryFailure(`${matches.length === 0 ? 'no' : 'more than one'} symbol matches '${prefix}'`);
+    return matches[0];
+}
+
+// ============= SNAPSHOTS =============
+
+// spaceAt(coord) is the whole space as it was at a temporal coordinate: for every lineage, its
+// newest version created at or before `coord`. Versions that were collected since come back
+// from the patches of their live descendants; lineages collected entirely are gone. Versions
+// committed by a transaction appear together, at the coordinate of its last version.
+// The timeline behind it lists every known version ({ coord, at, hash, lineage }) in coordinate
+// order. It is built by the first call from the live symbols and the ancestors recorded in their
+// patchHistory, then extended as symbols are registered. Seeking starts from the nearest
+// checkpoint (a copy of every lineage's head), taken every `checkpointEvery` entries, or every
+// as many entries as there are lineages when that is more, so checkpoints stay within the
+// size of the timeline.
+
+class SpaceTimeline {
+    constructor(space) {
+        this.space = space;
+        this.entries = [];
+        this.known = new Set(); // Hashes with an entry
+        this.checkpoints = []; // { index, coord, heads }
+        this.pending = [];
+        const parents = new Set(Array.from(space.symbols.values(), symbol => symbol.parentHash));
+        space.symbols.forEach(symbol => {
+            const lineage = lineageOf(symbol);
+            // The newest versions name every ancestor, including collected ones
+            if (!parents.has(symbol.hash)) symbol.patchHistory.forEach(entry => this.append(entry.hash, entry.coord, entry.coord, lineage));
+            this.append(symbol.hash, symbol.coord, symbol.transaction ? symbol.transaction.committedAt : symbol.coord, lineage);
+        });
+        this.entries.sort((a, b) => a.coord - b.coord);
+    }
+    
+    append(hash, coord, at, lineage) {
+        if (this.known.has(hash)) return;
+        this.known.add(hash);
+        this.entries.push({ coord, at, hash, lineage });
+    }
+    
+    update() {
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(symbol => {
+            if (this.space.symbols.get(symbol.hash) !== symbol) return; // Dropped by a transaction
+            const at = symbol.transaction ? symbol.transaction.committedAt : symbol.coord;
+            this.record(symbol.hash, symbol.coord, at, lineageOf(symbol));
+        });
+    }
+    
+    // New versions have the newest coordinate; restored ones are inserted in place
+    record(hash, coord, at, lineage) {
+        if (this.known.has(hash)) return;
+        this.known.add(hash);
+        const entries = this.entries;
+        let position = entries.length;
+        while (position > 0 && entries[position - 1].coord > coord) position--;
+        entries.splice(position, 0, { coord, at, hash, lineage });
+        if (position < entries.length - 1) {
+            this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.index < position);
+        }
+    }
+    
+    // Lineage -> entry of its newest version visible at `coord`
+    headsAt(coord) {
+        const checkpoints = this.checkpoints;
+        let from = checkpoints.length - 1;
+        while (from >= 0 && checkpoints[from].coord > coord) from--;
+        const start = from >= 0 ? checkpoints[from] : null;
+        const heads = new Map(start ? start.heads : []);
+        const interval = () => Math.max(this.space.config.checkpointEvery || 1000, heads.size);
+        let latestAt = start ? start.coord : -Infinity;
+        let lastCheckpoint = start ? start.index : -1;
+        
+        for (let i = lastCheckpoint + 1; i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            if (entry.coord > coord) break;
+            latestAt = Math.max(latestAt, entry.at);
+            if (entry.at <= coord) heads.set(entry.lineage, entry);
+            // Checkpoints only where nothing before them becomes visible later
+            if (i - lastCheckpoint >= interval() && latestAt <= entry.coord && i > (checkpoints.length ? checkpoints[checkpoints.length - 1].index : -1)) {
+                checkpoints.push({ index: i, coord: entry.coord, heads: new Map(heads) });
+                lastCheckpoint = i;
+            }
+        }
+        return heads;
+    }
+}
+
+// A read-only view of a space at a coordinate. Versions are resolved (and collected ones
+// rebuilt) when first read.
+class SpaceSnapshot {
+    constructor(space, coord, heads) {
+        Object.defineProperty(this, 'space', { value: space });
+        Object.defineProperty(this, 'heads', { value: heads }); // Lineage -> timeline entry
+        Object.defineProperty(this, 'resolved', { value: new Map() });
+        this.coord = coord;
+        Object.freeze(this);
+    }
+    
+    get size() {
+        return this.heads.size;
+    }
+    
+    // The version of the lineage of `target` (a symbol, or the hash of any of its versions)
+    get(target) {
+        const symbol = target instanceof VibeSymbol ? target : this.space.symbols.get(target);
+        const entry = this.heads.get(symbol ? lineageOf(symbol) : target) ||
+            Array.from(this.heads.values()).find(head => head.hash === target);
+        return entry ? this.resolve(entry) : undefined;
+    }
+    
+    has(target) {
+        return this.get(target) !== undefined;
+    }
+    
+    // Every version in the snapshot, by coordinate
+    symbols() {
+        return Array.from(this.heads.values())
+            .sort((a, b) => a.coord - b.coord)
+            .map(entry => this.resolve(entry))
+            .filter(Boolean);
+    }
+    
+    [Symbol.iterator]() {
+        return this.symbols()[Symbol.iterator]();
+    }
+    
+    resolve(entry) {
+        if (!this.resolved.has(entry.hash)) {
+            const members = inSpace(this.space, () => {
+                if (!this.space.index) this.space.index = new SymbolIndex(this.space);
+                this.space.index.update();
+                return this.space.index.lookup(this.space.index.lineages, entry.lineage);
+            });
+            const version = this.space.symbols.get(entry.hash) || inSpace(this.space, () => findVersion(entry.hash, members));
+            if (!version) console.warn(`spaceAt: version ${entry.hash} can no longer be rebuilt`);
+            this.resolved.set(entry.hash, version || undefined);
+        }
+        return this.resolved.get(entry.hash);
+    }
+}
+
+function spaceAt(coord = CURRENT_SPACE.coord) {
+    const space = CURRENT_SPACE;
+    if (space.transaction) throw new Error('spaceAt: not available inside a transaction');
+    if (!space.timeline) space.timeline = new SpaceTimeline(space);
+    space.timeline.update();
+    return new SpaceSnapshot(space, coord, space.timeline.headsAt(coord));
+}
+
+// What changed between two coordinates (or snapshots): lineages that appeared or disappeared,
+// and the versions that changed with the patch between them
+function diffSpaces(from, to = CURRENT_SPACE.coord) {
+    const [before, after] = [from, to].map(point => point instanceof SpaceSnapshot ? point : spaceAt(point));
+    const added = [];
+    const removed = [];
+    const changed = [];
+    after.heads.forEach((entry, lineage) => {
+        const previous = before.heads.get(lineage);
+        if (!previous) {
+            added.push(after.resolve(entry));
+        } else if (previous.hash !== entry.hash) {
+            const [older, newer] = [before.resolve(previous), after.resolve(entry)];
+            if (older && newer) changed.push({ lineage, before: older, after: newer, patch: diffValues(older.value, newer.value) });
+        }
+    });
+    before.heads.forEach((entry, lineage) => {
+        if (!after.heads.has(lineage)) removed.push(before.resolve(entry));
+    });
+    return { from: before.coord, to: after.coord, added: added.filter(Boolean), removed: removed.filter(Boolean), changed };
+}
+
+// ============= DEBUGGER =============
+
+// startDebugger() records every vibeTransform, stepActor, sendMessage, callMethod, modifySelf and
+// modifySource in the current space as an event, and moves through them afterwards: stepBack /
+// stepForward / seek, continue / reverseContinue to the next event that hits a breakpoint, watches
+// evaluated at each step and the structural diff each event made. Events keep copies of the value
+// before and after, so stepping still works once versions are collected. Nested calls are recorded
+// in the order they finish; events of a rolled-back transaction stay, marked `rolledBack`.
+//   breakpoints: { type, entry, message, method, lineage, when } or 'type:ACTOR message:increment'
+//   watches:     a dotted path ('state.count') or (value, event) => any, over the value after the
+//                current event, or over a lineage's value at that point with { symbol }
+
+const DEBUGGER_EVENT_LIMIT = 10000;
+const MESSAGE_ENTRIES = ['sendMessage', 'stepActor'];
+
+class VibeDebugger {
+    constructor(space, options = {}) {
+        this.space = space;
+        this.limit = options.limit ?? DEBUGGER_EVENT_LIMIT; // Older events are dropped
+        this.events = [];
+        this.dropped = 0; // event.index counts dropped events too
+        this.cursor = -1; // Position of the current step in `events`
+        this.breakpoints = new Map(); // id -> { id, type, entry, message, method, lineage, when }
+        this.watches = new Map(); // id -> { id, label, read, lineage }
+        this.onBreak = options.onBreak || null; // Called with the frame while recording hits a breakpoint
+        this.nextId = 1;
+        (options.breakpoints || []).forEach(breakpoint => this.addBreakpoint(breakpoint));
+        (options.watches || []).forEach(watch => this.watch(watch));
+    }
+    
+    get active() {
+        return this.space.debugger === this;
+    }
+    
+    record(entry, { input, output = input, name = null, args = [], out }) {
+        const beforeValue = cloneValue(input.value);
+        const afterValue = cloneValue(output.value);
+        const event = {
+            index: this.dropped + this.events.length,
+            entry,
+            name,
+            vibeType: input.vibeType,
+            lineage: lineageOf(input),
+            input: input.hash,
+            output: output.hash,
+            coord: this.space.coord,
+            args: cloneValue(args),
+            out: cloneValue(out),
+            before: beforeValue,
+            after: afterValue,
+            patch: diffValues(beforeValue, afterValue),
+            transaction: this.space.transaction ? this.space.transaction.id : null,
+            rolledBack: false
+        };
+        
+        const following = this.cursor === this.events.length - 1;
+        this.events.push(event);
+        if (this.events.length > this.limit) {
+            this.events.shift();
+            this.dropped++;
+            this.cursor = Math.max(this.cursor - 1, -1);
+        }
+        if (following) this.cursor = this.events.length - 1;
+        if (this.onBreak && this.hits(event).length > 0) this.onBreak(this.frame(this.events.length - 1));
+        return event;
+    }
+    
+    rollBack(transactionId) {
+        this.events.forEach(event => {
+            if (event.transaction === transactionId) event.rolledBack = true;
+        });
+    }
+    
+    addBreakpoint(spec) {
+        const breakpoint = typeof spec === 'string' ? parseBreakpoint(spec) : { ...spec };
+        if (breakpoint.lineage) breakpoint.lineage = lineageOf(typeof breakpoint.lineage === 'string'
+            ? this.space.symbols.get(resolveHashPrefix(breakpoint.lineage))
+            : breakpoint.lineage);
+        breakpoint.id = this.nextId++;
+        this.breakpoints.set(breakpoint.id, breakpoint);
+        return breakpoint.id;
+    }
+    
+    removeBreakpoint(id) {
+        return this.breakpoints.delete(id);
+    }
+    
+    // Ids of the breakpoints an event hits
+    hits(event) {
+        const includes = (allowed, value) => [].concat(allowed).includes(value);
+        return Array.from(this.breakpoints.values()).filter(breakpoint => {
+            if (breakpoint.type && !includes(breakpoint.type, event.vibeType)) return false;
+            if (breakpoint.entry && !includes(breakpoint.entry, event.entry)) return false;
+            if (breakpoint.message && !(MESSAGE_ENTRIES.includes(event.entry) && includes(breakpoint.message, event.name))) return false;
+            if (breakpoint.method && !(event.entry === 'callMethod' && includes(breakpoint.method, event.name))) return false;
+            if (breakpoint.lineage && breakpoint.lineage !== event.lineage) return false;
+            return !breakpoint.when || Boolean(breakpoint.when(event));
+        }).map(breakpoint => breakpoint.id);
+    }
+    
+    watch(expression, options = {}) {
+        const id = this.nextId++;
+        const segments = typeof expression === 'string' ? expression.split('.').filter(Boolean) : null;
+        this.watches.set(id, {
+            id,
+            label: options.label || (segments ? expression : expression.name || `watch ${id}`),
+            read: segments
+                ? value => segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value)
+                : expression,
+            lineage: options.symbol ? lineageOf(options.symbol) : null
+        });
+        return id;
+    }
+    
+    unwatch(id) {
+        return this.watches.delete(id);
+    }
+    
+    // A lineage's value at a position: after its last event so far, else before its next one
+    watchValue(watch, position) {
+        let value;
+        let event = this.events[position];
+        if (watch.lineage) {
+            event = null;
+            for (let i = position; i >= 0 && !event; i--) {
+                if (this.events[i].lineage === watch.lineage) event = this.events[i];
+            }
+            if (event) {
+                value = event.after;
+            } else {
+                event = this.events.slice(position + 1).find(candidate => candidate.lineage === watch.lineage);
+                if (!event) return undefined;
+                value = event.before;
+            }
+        } else if (event) {
+            value = event.after;
+        } else {
+            return undefined;
+        }
+        try {
+            return watch.read(value, event);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+    
+    // The current step: its event, structural diff, breakpoint hits and watch values
+    frame(position = this.cursor) {
+        const event = this.events[position];
+        if (!event) return null;
+        return {
+            event,
+            position,
+            total: this.events.length,
+            diff: summarizePatch(event.patch),
+            symbol: this.space.symbols.get(event.output) || null,
+            breakpoints: this.hits(event),
+            watches: Array.from(this.watches.values()).map(watch => {
+                const value = this.watchValue(watch, position);
+                const previous = this.watchValue(watch, position - 1);
+                return { id: watch.id, label: watch.label, value, previous, changed: safeStringify(value) !== safeStringify(previous) };
+            })
+        };
+    }
+    
+    current() {
+        return this.frame();
+    }
+    
+    // Move to the event with this index; null (and no move) when it is not recorded
+    seek(index) {
+        const position = index - this.dropped;
+        if (position < 0 || position >= this.events.length) return null;
+        this.cursor = position;
+        return this.frame();
+    }
+    
+    stepBack(steps = 1) {
+        if (this.cursor - steps < 0) return null;
+        this.cursor -= steps;
+        return this.frame();
+    }
+    
+    stepForward(steps = 1) {
+        if (this.cursor + steps >= this.events.length) return null;
+        this.cursor += steps;
+        return this.frame();
+    }
+    
+    // Move to the next (previous) event that hits a breakpoint, or to the last (first) event and
+    // return null when none does
+    continue() {
+        return this.runTo(this.cursor + 1, 1);
+    }
+    
+    reverseContinue() {
+        return this.runTo(this.cursor - 1, -1);
+    }
+    
+    runTo(start, direction) {
+        for (let i = start; i >= 0 && i < this.events.length; i += direction) {
+            if (this.hits(this.events[i]).length > 0) {
+                this.cursor = i;
+                return this.frame();
+            }
+        }
+        if (this.events.length > 0) this.cursor = direction > 0 ? this.events.length - 1 : 0;
+        return null;
+    }
+    
+    // Stop recording; the recorded events can still be stepped through
+    stop() {
+        if (this.active) this.space.debugger = null;
+        return this;
+    }
+}
+
+// Called by vibeTransform, stepActor, sendMessage and callMethod once they are done
+function traceEvent(entry, details) {
+    if (CURRENT_SPACE.debugger) CURRENT_SPACE.debugger.record(entry, details);
+}
+
+// Start recording the current space; one debugger per space at a time
+function startDebugger(options = {}) {
+    const space = CURRENT_SPACE;
+    if (space.debugger) throw new Error('startDebugger: this space is already being debugged');
+    space.debugger = new VibeDebugger(space, options);
+    return space.debugger;
+}
+
+// 'type:ACTOR,PROTOTYPE entry:stepActor message:increment method:start lineage:<hash>'
+function parseBreakpoint(text) {
+    const breakpoint = {};
+    (text.match(/\S+/g) || []).forEach(term => {
+        const option = term.match(/^(type|entry|message|method|lineage):(.+)$/);
+        if (!option) throw new Error(`startDebugger: cannot parse breakpoint term '${term}'`);
+        breakpoint[option[1]] = option[1] === 'lineage' ? option[2] : option[2].split(',');
+    });
+    return breakpoint;
+}
+
+// ============= UTILITY FUNCTIONS =============
+
+// Deep copy of plain data; functions, symbols and other instances are shared.
+// Shared references and cycles are preserved.
+function cloneValue(value, copies = new Map()) {
+    if (!isPlainContainer(value)) return value;
+    if (copies.has(value)) return copies.get(value);
+    
+    const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+    copies.set(value, copy);
+    for (const key of Object.keys(value)) {
+        copy[key] = cloneValue(value[key], copies);
+    }
+    return copy;
+}
+
+function createVibeSymbol(value, capabilities) {
+    return new VibeSymbol(value, capabilities);
+}
+
+function getVibeSpace() {
+    return CURRENT_SPACE.symbols;
+}
+
+// CONTENT ADDRESSING: Every version whose value has this content hash, oldest first
+function findByContentHash(contentHash) {
+    return querySymbols({ contentHash });
+}
+
+function clearVibeSpace() {
+    CURRENT_SPACE.reset();
+}
+
+function getTemporalCoord() {
+    return CURRENT_SPACE.coord;
+}
+
+// Global tape pruning across all symbols in the current space
+function pruneGlobalTapeSpace() {
+    let totalPruned = 0;
+    for (const symbol of CURRENT_SPACE.symbols.values()) {
+        const beforeLength = symbol.tapeOperations.length;
+        symbol.pruneTapeOperations();
+        totalPruned += (beforeLength - symbol.tapeOperations.length);
+    }
+    return totalPruned;
+}
+
+// ============= EXPORTS =============
+
+// For Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // Core classes
+        VibeSymbol,
+        VibeToken,
+        authorize,
+        getCapabilityAudit,
+        clearCapabilityAudit,
+        TapeOperation,
+        TapeMachine,
+        
+        // Core functions
+        vibeTransform,
+        vibeRevert,
+        vibeRevertWithTape,
         createVibeSymbol,
+        createVibeFunction,
+        
+        // Tape machine
+        runTape,
+        replayTape,
+        serializeTape,
+        deserializeTape,
+        explainPruning,
+        registerPruningStrategy,
+        
+        // Persistence
+        declareRequires,
+        registerFunctionScope,
+        registerFunctionCodec,
+        encodeValue,
+        decodeValue,
+        persistSpace,
+        restoreSpace,
+        attachStorage,
+        serializeSymbol,
+        deserializeSymbol,
+        MemoryStorageAdapter,
+        FileStorageAdapter,
+        IndexedDBStorageAdapter,
+        
+        // Structural diff / patch engine
+        diffValues,
+        applyPatch,
+        invertPatch,
+        summarizePatch,
         
         // Actor/Prototype system
         createVibeActor,
         createVibePrototype,
         sendMessage,
+        stepActor,
         instantiate,
         callMethod,
+        resolveMethod,
+        callSuper,
+        instanceOf,
+        prototypeChain,
+        
+        // Actor scheduler
+        VibeScheduler,
+        ActorRef,
+        VibeSupervisor,
+        VibeSandbox,
+        createSandbox,
+        
+        // Vibe spaces
+        VibeSpace,
+        createVibeSpace,
+        getCurrentSpace,
+        retainSymbol,
+        releaseSymbol,
+        collectGarbage,
+        getProvenance,
+        ProvenanceIndex,
+        fork,
+        merge,
+        checkout,
+        listBranches,
+        deleteBranch,
+        subscribe,
+        derive,
+        batch,
+        DerivedSymbol,
+        vibeTransaction,
+        querySymbols,
+        parseQuery,
+        spaceAt,
+        diffSpaces,
+        SpaceSnapshot,
+        startDebugger,
+        VibeDebugger,
         
         // Utilities
         getVibeSpace,
         clearVibeSpace,
         getTemporalCoord,
+        pruneGlobalTapeSpace,
+        cloneValue,
+        findByContentHash,
         vibeHash,
+        sha256,
+        canonicalize,
+        computeContentHash,
+        safeStringify,
         createVibeId,
         
+        // Determinism
+        vibeNow,
+        vibeRandom,
+        setVibeClock,
+        setVibeRandom,
+        createSeededRandom,
+        createSteppedClock,
+        useDeterministicMode,
+        recordSession,
+        replaySession,
+        
         // Configuration
         TAPE_PRUNING_CONFIG
     };
@@ -570,20 +4851,100 @@ if (typeof window !== 'undefined') {
     window.TrinityVibe = {
         VibeSymbol,
         VibeToken,
+        authorize,
+        getCapabilityAudit,
+        clearCapabilityAudit,
         TapeOperation,
+        TapeMachine,
         vibeTransform,
         vibeRevert,
+        vibeRevertWithTape,
         createVibeSymbol,
+        createVibeFunction,
+        runTape,
+        replayTape,
+        serializeTape,
+        deserializeTape,
+        explainPruning,
+        registerPruningStrategy,
+        declareRequires,
+        registerFunctionScope,
+        registerFunctionCodec,
+        encodeValue,
+        decodeValue,
+        persistSpace,
+        restoreSpace,
+        attachStorage,
+        serializeSymbol,
+        deserializeSymbol,
+        MemoryStorageAdapter,
+        FileStorageAdapter,
+        IndexedDBStorageAdapter,
+        diffValues,
+        applyPatch,
+        invertPatch,
+        summarizePatch,
         createVibeActor,
         createVibePrototype,
         sendMessage,
+        stepActor,
         instantiate,
         callMethod,
+        resolveMethod,
+        callSuper,
+        instanceOf,
+        prototypeChain,
+        VibeScheduler,
+        ActorRef,
+        VibeSupervisor,
+        VibeSandbox,
+        createSandbox,
+        VibeSpace,
+        createVibeSpace,
+        getCurrentSpace,
+        retainSymbol,
+        releaseSymbol,
+        collectGarbage,
+        getProvenance,
+        ProvenanceIndex,
+        fork,
+        merge,
+        checkout,
+        listBranches,
+        deleteBranch,
+        subscribe,
+        derive,
+        batch,
+        DerivedSymbol,
+        vibeTransaction,
+        querySymbols,
+        parseQuery,
+        spaceAt,
+        diffSpaces,
+        SpaceSnapshot,
+        startDebugger,
+        VibeDebugger,
         getVibeSpace,
         clearVibeSpace,
         getTemporalCoord,
+        pruneGlobalTapeSpace,
+        cloneValue,
+        findByContentHash,
         vibeHash,
+        sha256,
+        canonicalize,
+        computeContentHash,
+        safeStringify,
         createVibeId,
+        vibeNow,
+        vibeRandom,
+        setVibeClock,
+        setVibeRandom,
+        createSeededRandom,
+        createSteppedClock,
+        useDeterministicMode,
+        recordSession,
+        replaySession,
         TAPE_PRUNING_CONFIG
     };
 }
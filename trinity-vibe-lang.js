@@ -0,0 +1,773 @@
+/**
+ * Trinity Vibe Language
+ * Textual surface syntax for the Trinity Vibe runtime: tokenizer, parser and evaluator
+ *
+ * Programs are S-expressions - the same shape TapeOperation.toCode() already prints -
+ * so the parsed AST is plain data that can live inside a VibeSymbol (code is data),
+ * and the evaluator drives the core runtime instead of reimplementing it.
+ *
+ *   (defn double (x) (* x 2))
+ *   (def data (vibe {:count 0}))
+ *   (def next (transform data (fn (d) {:count (+ d.count 1)})))
+ *   (revert next)
+ *
+ *   (actor Counter
+ *     (state {:count 0})
+ *     (on increment () (set! state.count (+ state.count 1))))
+ *   (send Counter :increment)
+ *
+ *   (prototype Vehicle
+ *     (method start () (str "Starting " self.brand)))
+ *   (call (new Vehicle {:brand "Toyota"}) :start)
+ *
+ *   (prototype Car
+ *     (extends Vehicle)
+ *     (method start () (str (super self :start) " (car)")))
+ */
+
+(function (global) {
+    'use strict';
+
+    const TrinityVibe = (typeof module !== 'undefined' && module.exports)
+        ? require('./trinity-vibe-core.js')
+        : global.TrinityVibe;
+
+    // ============= ERRORS =============
+
+    class VibeSyntaxError extends Error {
+        constructor(message, loc = null) {
+            super(loc ? `${message} (line ${loc.line}, col ${loc.col})` : message);
+            this.name = 'VibeSyntaxError';
+            this.loc = loc;
+        }
+    }
+
+    class VibeEvalError extends Error {
+        constructor(message, loc = null) {
+            super(loc ? `${message} (line ${loc.line}, col ${loc.col})` : message);
+            this.name = 'VibeEvalError';
+            this.loc = loc;
+        }
+    }
+
+    // ============= TOKENIZER =============
+
+    const DELIMITERS = '()[]{}\'"; \t\r\n,';
+    const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+    const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+    function tokenize(source) {
+        const tokens = [];
+        let line = 1;
+        let col = 1;
+        let i = 0;
+
+        const advance = () => {
+            if (source[i] === '\n') {
+                line++;
+                col = 1;
+            } else {
+                col++;
+            }
+            i++;
+        };
+
+        while (i < source.length) {
+            const char = source[i];
+            const loc = { line, col };
+
+            // Whitespace and commas are insignificant
+            if (' \t\r\n,'.includes(char)) {
+                advance();
+                continue;
+            }
+
+            // Comments run to end of line
+            if (char === ';') {
+                while (i < source.length && source[i] !== '\n') advance();
+                continue;
+            }
+
+            if ('()[]{}\''.includes(char)) {
+                tokens.push({ type: char, loc });
+                advance();
+                continue;
+            }
+
+            if (char === '"') {
+                let value = '';
+                advance();
+                while (i < source.length && source[i] !== '"') {
+                    if (source[i] === '\\') {
+                        advance();
+                        const escaped = source[i];
+                        if (escaped === 'u') {
+                            const hex = source.slice(i + 1, i + 5);
+                            if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                                throw new VibeSyntaxError('Invalid unicode escape', { line, col });
+                            }
+                            value += String.fromCharCode(parseInt(hex, 16));
+                            for (let k = 0; k < 4; k++) advance();
+                        } else if (escaped in STRING_ESCAPES) {
+                            value += STRING_ESCAPES[escaped];
+                        } else {
+                            throw new VibeSyntaxError(`Unknown escape '\\${escaped}'`, { line, col });
+                        }
+                        advance();
+                    } else {
+                        value += source[i];
+                        advance();
+                    }
+                }
+                if (i >= source.length) {
+                    throw new VibeSyntaxError('Unterminated string', loc);
+                }
+                advance();
+                tokens.push({ type: 'string', value, loc });
+                continue;
+            }
+
+            let text = '';
+            while (i < source.length && !DELIMITERS.includes(source[i])) {
+                text += source[i];
+                advance();
+            }
+
+            if (NUMBER_PATTERN.test(text)) {
+                tokens.push({ type: 'number', value: Number(text), loc });
+            } else if (text[0] === ':' && text.length > 1) {
+                tokens.push({ type: 'keyword', value: text.slice(1), loc });
+            } else {
+                tokens.push({ type: 'symbol', value: text, loc });
+            }
+        }
+
+        return tokens;
+    }
+
+    // ============= PARSER: HOMOICONIC AST =============
+
+    // AST nodes are plain JSON data so a whole program can be stored, hashed and
+    // transformed like any other symbol value.
+    const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+    const COLLECTIONS = { '(': 'List', '[': 'Vector', '{': 'Map' };
+
+    function parse(source) {
+        const tokens = tokenize(source);
+        let index = 0;
+
+        function parseForm() {
+            const token = tokens[index++];
+            switch (token.type) {
+                case '(':
+                case '[':
+                case '{': {
+                    const items = [];
+                    while (index < tokens.length && tokens[index].type !== CLOSERS[token.type]) {
+                        items.push(parseForm());
+                    }
+                    if (index >= tokens.length) {
+                        throw new VibeSyntaxError(`Missing '${CLOSERS[token.type]}'`, token.loc);
+                    }
+                    index++;
+                    if (token.type === '{' && items.length % 2 !== 0) {
+                        throw new VibeSyntaxError('Map literal needs an even number of forms', token.loc);
+                    }
+                    return { type: COLLECTIONS[token.type], items, loc: token.loc };
+                }
+                case ')':
+                case ']':
+                case '}':
+                    throw new VibeSyntaxError(`Unexpected '${token.type}'`, token.loc);
+                case '\'':
+                    if (index >= tokens.length) {
+                        throw new VibeSyntaxError('Nothing to quote', token.loc);
+                    }
+                    return {
+                        type: 'List',
+                        items: [{ type: 'Symbol', name: 'quote', loc: token.loc }, parseForm()],
+                        loc: token.loc
+                    };
+                case 'number':
+                    return { type: 'Number', value: token.value, loc: token.loc };
+                case 'string':
+                    return { type: 'String', value: token.value, loc: token.loc };
+                case 'keyword':
+                    return { type: 'Keyword', name: token.value, loc: token.loc };
+                default:
+                    if (token.value === 'true' || token.value === 'false') {
+                        return { type: 'Boolean', value: token.value === 'true', loc: token.loc };
+                    }
+                    if (token.value === 'nil') {
+                        return { type: 'Nil', loc: token.loc };
+                    }
+                    return { type: 'Symbol', name: token.value, loc: token.loc };
+            }
+        }
+
+        const body = [];
+        while (index < tokens.length) {
+            body.push(parseForm());
+        }
+        return { type: 'Program', body };
+    }
+
+    // HOMOICONICITY: Wrap a parsed program in a VibeSymbol so code lives in VIBE_SPACE
+    function parseToSymbol(source, capabilities) {
+        const symbol = TrinityVibe.createVibeSymbol(parse(source), capabilities);
+        symbol.vibeType = 'PROGRAM';
+        symbol.sourceCode = print(symbol.value);
+        return symbol;
+    }
+
+    // HOMOICONICITY: Render an AST node back to source text
+    function print(node) {
+        switch (node.type) {
+            case 'Program': return node.body.map(print).join('\n');
+            case 'List':
+                if (node.items.length === 2 && node.items[0].type === 'Symbol' && node.items[0].name === 'quote') {
+                    return `'${print(node.items[1])}`;
+                }
+                return `(${node.items.map(print).join(' ')})`;
+            case 'Vector': return `[${node.items.map(print).join(' ')}]`;
+            case 'Map': return `{${node.items.map(print).join(' ')}}`;
+            case 'Symbol': return node.name;
+            case 'Keyword': return `:${node.name}`;
+            case 'Number': return String(node.value);
+            case 'String': return JSON.stringify(node.value);
+            case 'Boolean': return String(node.value);
+            case 'Nil': return 'nil';
+            default:
+                throw new VibeSyntaxError(`Cannot print node of type '${node.type}'`, node.loc);
+        }
+    }
+
+    // HOMOICONICITY: Render a runtime value as source that evaluates back to it
+    function toSource(value) {
+        if (value === null || value === undefined) return 'nil';
+        if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (typeof value === 'function') {
+            if (!value.vibeSource) {
+                throw new VibeEvalError(`Host function '${value.name || 'anonymous'}' has no vibe source`);
+            }
+            return value.vibeSource;
+        }
+        if (value instanceof TrinityVibe.VibeSymbol) return `(vibe ${toSource(value.value)})`;
+        if (Array.isArray(value)) return `[${value.map(toSource).join(' ')}]`;
+        const entries = Object.entries(value).map(([key, v]) => {
+            const renderedKey = /^[A-Za-z_$][\w$-]*$/.test(key) ? `:${key}` : JSON.stringify(key);
+            return `${renderedKey} ${toSource(v)}`;
+        });
+        return `{${entries.join(' ')}}`;
+    }
+
+    // ============= ENVIRONMENT =============
+
+    class VibeEnvironment {
+        constructor(parent = null) {
+            this.parent = parent;
+            this.bindings = new Map();
+        }
+
+        define(name, value) {
+            this.bindings.set(name, value);
+            return value;
+        }
+
+        find(name) {
+            let env = this;
+            while (env) {
+                if (env.bindings.has(name)) return env;
+                env = env.parent;
+            }
+            return null;
+        }
+
+        lookup(name, loc) {
+            const env = this.find(name);
+            if (!env) throw new VibeEvalError(`Unbound symbol '${name}'`, loc);
+            return env.bindings.get(name);
+        }
+
+        assign(name, value, loc) {
+            const env = this.find(name);
+            if (!env) throw new VibeEvalError(`Cannot set! unbound symbol '${name}'`, loc);
+            env.bindings.set(name, value);
+            return value;
+        }
+    }
+
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    function keyOf(node) {
+        switch (node.type) {
+            case 'Keyword':
+            case 'Symbol': return node.name;
+            case 'String': return node.value;
+            case 'Number': return String(node.value);
+            default:
+                throw new VibeEvalError(`Invalid map key of type '${node.type}'`, node.loc);
+        }
+    }
+
+    function getPath(target, path, loc) {
+        let current = target;
+        for (const key of path) {
+            if (current === null || current === undefined) {
+                throw new VibeEvalError(`Cannot read '${key}' of nil`, loc);
+            }
+            current = current[key];
+        }
+        return current;
+    }
+
+    function expectList(node, form) {
+        if (!node || node.type !== 'List') {
+            throw new VibeSyntaxError(`${form} expects a parameter list`, node && node.loc);
+        }
+        return node.items.map(param => {
+            if (param.type !== 'Symbol') {
+                throw new VibeSyntaxError(`${form} parameters must be symbols`, param.loc);
+            }
+            return param.name;
+        });
+    }
+
+    // ============= EVALUATOR =============
+
+    function evaluateNode(node, env) {
+        switch (node.type) {
+            case 'Program': return evaluateBody(node.body, env);
+            case 'Number':
+            case 'String':
+            case 'Boolean': return node.value;
+            case 'Nil': return null;
+            case 'Keyword': return node.name;
+            case 'Symbol': {
+                // Dotted symbols read properties: state.count, self.brand
+                const [head, ...path] = node.name.split('.');
+                if (path.length === 0 || head === '') return env.lookup(node.name, node.loc);
+                return getPath(env.lookup(head, node.loc), path, node.loc);
+            }
+            case 'Vector': return node.items.map(item => evaluateNode(item, env));
+            case 'Map': {
+                const result = {};
+                for (let i = 0; i < node.items.length; i += 2) {
+                    result[keyOf(node.items[i])] = evaluateNode(node.items[i + 1], env);
+                }
+                return result;
+            }
+            case 'List': return evaluateList(node, env);
+            default:
+                throw new VibeEvalError(`Unknown node type '${node.type}'`, node.loc);
+        }
+    }
+
+    function evaluateBody(forms, env) {
+        let result = null;
+        for (const form of forms) {
+            result = evaluateNode(form, env);
+        }
+        return result;
+    }
+
+    function evaluateList(node, env) {
+        if (node.items.length === 0) return null;
+
+        const [head, ...args] = node.items;
+        if (head.type === 'Symbol' && hasOwn(SPECIAL_FORMS, head.name) && !env.find(head.name)) {
+            return SPECIAL_FORMS[head.name](node, args, env);
+        }
+
+        const callee = evaluateNode(head, env);
+        if (typeof callee !== 'function') {
+            throw new VibeEvalError(`'${print(head)}' is not callable`, head.loc);
+        }
+        return callee(...args.map(arg => evaluateNode(arg, env)));
+    }
+
+    // Compile a (params) body... pair into a host function so the core runtime can
+    // call it as a transform operation, actor handler or prototype method.
+    function makeFunction(name, paramsNode, body, env, sourceNode, scopeFor = null) {
+        const params = expectList(paramsNode, name || 'fn');
+        const restIndex = params.indexOf('&');
+
+        const fn = function (...args) {
+            const scope = new VibeEnvironment(env);
+            scope.define('self', this === undefined ? null : this);
+            if (scopeFor) {
+                for (const [key, value] of Object.entries(scopeFor(this))) {
+                    scope.define(key, value);
+                }
+            }
+            if (restIndex === -1) {
+                params.forEach((param, i) => scope.define(param, args[i] === undefined ? null : args[i]));
+            } else {
+                params.slice(0, restIndex).forEach((param, i) => scope.define(param, args[i] === undefined ? null : args[i]));
+                scope.define(params[restIndex + 1], args.slice(restIndex));
+            }
+            return evaluateBody(body, scope);
+        };
+
+        const vibeSource = print(sourceNode);
+        Object.defineProperty(fn, 'name', { value: name || 'anonymous' });
+        Object.defineProperty(fn, 'length', { value: restIndex === -1 ? params.length : restIndex });
+        Object.defineProperty(fn, 'vibeSource', { value: vibeSource });
+        // HOMOICONICITY: structure.body of a function symbol shows the vibe source
+        Object.defineProperty(fn, 'toString', { value: () => vibeSource });
+        return fn;
+    }
+
+    // Actor handlers see the actor's state as `state`
+    function handlerScope(self) {
+        return { state: self ? self.state : null };
+    }
+
+    // Rebuild a function from the vibe source makeFunction recorded: (fn ..), (defn ..),
+    // or an actor (on ..) / prototype (method ..) clause
+    function restoreFunction(source, bindings) {
+        const env = createEnvironment();
+        for (const [name, value] of Object.entries(bindings)) {
+            env.define(name, value);
+        }
+
+        const [node] = parse(source).body;
+        const items = node && node.type === 'List' ? node.items : [];
+        const head = items[0] && items[0].type === 'Symbol' ? items[0].name : null;
+        switch (head) {
+            case 'fn':
+                return SPECIAL_FORMS.fn(node, items.slice(1), env);
+            case 'defn':
+                return makeFunction(items[1].name, items[2], items.slice(3), env, node);
+            case 'on':
+                return makeFunction(keyOf(items[1]), items[2], items.slice(3), env, node, handlerScope);
+            case 'method':
+                return makeFunction(keyOf(items[1]), items[2], items.slice(3), env, node);
+            default:
+                throw new VibeEvalError(`Cannot restore a function from '${source}'`, node && node.loc);
+        }
+    }
+
+    function renderSource(value, fallbackNode) {
+        try {
+            return toSource(value);
+        } catch (error) {
+            return print(fallbackNode);
+        }
+    }
+
+    // Clauses inside actor/prototype forms: (state {...}), (on msg (params) body...)
+    function collectClauses(node, args, allowed) {
+        const clauses = [];
+        for (const clause of args) {
+            const keyword = clause.type === 'List' && clause.items[0];
+            if (!keyword || keyword.type !== 'Symbol' || !allowed.includes(keyword.name)) {
+                throw new VibeSyntaxError(`Expected one of (${allowed.join(' | ')}) clauses`, clause.loc);
+            }
+            clauses.push({ kind: keyword.name, items: clause.items.slice(1), node: clause });
+        }
+        return clauses;
+    }
+
+    function definitionName(node, args, form) {
+        if (!args[0] || args[0].type !== 'Symbol') {
+            throw new VibeSyntaxError(`${form} expects a name`, node.loc);
+        }
+        return args[0].name;
+    }
+
+    const SPECIAL_FORMS = {
+        quote(node, args) {
+            return args[0];
+        },
+
+        if(node, args, env) {
+            const condition = evaluateNode(args[0], env);
+            if (condition !== false && condition !== null && condition !== undefined) {
+                return evaluateNode(args[1], env);
+            }
+            return args[2] ? evaluateNode(args[2], env) : null;
+        },
+
+        do(node, args, env) {
+            return evaluateBody(args, env);
+        },
+
+        and(node, args, env) {
+            let result = true;
+            for (const arg of args) {
+                result = evaluateNode(arg, env);
+                if (result === false || result === null || result === undefined) return result;
+            }
+            return result;
+        },
+
+        or(node, args, env) {
+            let result = null;
+            for (const arg of args) {
+                result = evaluateNode(arg, env);
+                if (result !== false && result !== null && result !== undefined) return result;
+            }
+            return result;
+        },
+
+        def(node, args, env) {
+            const name = definitionName(node, args, 'def');
+            return env.define(name, args[1] ? evaluateNode(args[1], env) : null);
+        },
+
+        'set!'(node, args, env) {
+            if (!args[0] || args[0].type !== 'Symbol') {
+                throw new VibeSyntaxError('set! expects a symbol', node.loc);
+            }
+            const value = evaluateNode(args[1], env);
+            const [head, ...path] = args[0].name.split('.');
+            if (path.length === 0) return env.assign(head, value, args[0].loc);
+
+            const target = getPath(env.lookup(head, args[0].loc), path.slice(0, -1), args[0].loc);
+            if (target === null || typeof target !== 'object') {
+                throw new VibeEvalError(`Cannot set '${args[0].name}' on a non-object`, args[0].loc);
+            }
+            target[path[path.length - 1]] = value;
+            return value;
+        },
+
+        // (send actor :message args...) gives the handler's output. A changed actor is a new
+        // version, which replaces the binding when the actor is named directly
+        send(node, args, env) {
+            const actor = evaluateNode(args[0], env);
+            const message = evaluateNode(args[1], env);
+            const result = TrinityVibe.sendMessage(actor, message, ...args.slice(2).map(arg => evaluateNode(arg, env)));
+            if (!result) return null;
+            if (result.actor !== actor && args[0].type === 'Symbol' && !args[0].name.includes('.')) {
+                env.assign(args[0].name, result.actor, args[0].loc);
+            }
+            return result.out === undefined ? null : result.out;
+        },
+
+        let(node, args, env) {
+            const bindings = args[0];
+            if (!bindings || bindings.type !== 'List' || bindings.items.length % 2 !== 0) {
+                throw new VibeSyntaxError('let expects (name value ...) bindings', node.loc);
+            }
+            const scope = new VibeEnvironment(env);
+            for (let i = 0; i < bindings.items.length; i += 2) {
+                const name = bindings.items[i];
+                if (name.type !== 'Symbol') {
+                    throw new VibeSyntaxError('let binding names must be symbols', name.loc);
+                }
+                scope.define(name.name, evaluateNode(bindings.items[i + 1], scope));
+            }
+            return evaluateBody(args.slice(1), scope);
+        },
+
+        fn(node, args, env) {
+            // (fn (params) body...) or (fn name (params) body...)
+            if (args[0] && args[0].type === 'Symbol') {
+                return makeFunction(args[0].name, args[1], args.slice(2), env, node);
+            }
+            return makeFunction(null, args[0], args.slice(1), env, node);
+        },
+
+        defn(node, args, env) {
+            const name = definitionName(node, args, 'defn');
+            return env.define(name, makeFunction(name, args[1], args.slice(2), env, node));
+        },
+
+        // (vibe expr) creates a VibeSymbol whose sourceCode evaluates back to it
+        vibe(node, args, env) {
+            const value = evaluateNode(args[0], env);
+            const symbol = TrinityVibe.createVibeSymbol(value);
+            symbol.sourceCode = `(vibe ${renderSource(value, args[0])})`;
+            return symbol;
+        },
+
+        // (actor Name (state {...}) (on message (params) body...) ...)
+        actor(node, args, env) {
+            const name = definitionName(node, args, 'actor');
+            const definition = { state: {}, handlers: {} };
+
+            for (const clause of collectClauses(node, args.slice(1), ['state', 'on'])) {
+                if (clause.kind === 'state') {
+                    definition.state = evaluateNode(clause.items[0], env);
+                } else {
+                    const message = clause.items[0] && keyOf(clause.items[0]);
+                    definition.handlers[message] = makeFunction(
+                        message, clause.items[1], clause.items.slice(2), env, clause.node, handlerScope
+                    );
+                }
+            }
+
+            const actorSymbol = TrinityVibe.createVibeActor(name, definition);
+            actorSymbol.sourceCode = print(node);
+            return env.define(name, actorSymbol);
+        },
+
+        // (prototype Name (extends Parent) (mixins A B) (properties {...}) (method name (params) body...) ...)
+        prototype(node, args, env) {
+            const name = definitionName(node, args, 'prototype');
+            const definition = { methods: {}, properties: {}, mixins: [] };
+
+            for (const clause of collectClauses(node, args.slice(1), ['extends', 'mixins', 'properties', 'method'])) {
+                if (clause.kind === 'extends') {
+                    definition.extends = evaluateNode(clause.items[0], env);
+                } else if (clause.kind === 'mixins') {
+                    definition.mixins = clause.items.map(item => evaluateNode(item, env));
+                } else if (clause.kind === 'properties') {
+                    definition.properties = evaluateNode(clause.items[0], env);
+                } else {
+                    const methodName = clause.items[0] && keyOf(clause.items[0]);
+                    definition.methods[methodName] = makeFunction(
+                        methodName, clause.items[1], clause.items.slice(2), env, clause.node
+                    );
+                }
+            }
+
+            const prototypeSymbol = TrinityVibe.createVibePrototype(name, definition);
+            prototypeSymbol.sourceCode = print(node);
+            return env.define(name, prototypeSymbol);
+        }
+    };
+
+    // ============= BUILTINS =============
+
+    function numeric(name, fn) {
+        return (...args) => {
+            args.forEach(arg => {
+                if (typeof arg !== 'number') throw new VibeEvalError(`${name} expects numbers, got ${toSource(arg)}`);
+            });
+            return fn(...args);
+        };
+    }
+
+    function structurallyEqual(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function createEnvironment() {
+        const env = new VibeEnvironment();
+        const builtins = {
+            '+': (...args) => args.every(arg => typeof arg === 'number')
+                ? args.reduce((a, b) => a + b, 0)
+                : args.map(String).join(''),
+            '-': numeric('-', (first, ...rest) => rest.length === 0 ? -first : rest.reduce((a, b) => a - b, first)),
+            '*': numeric('*', (...args) => args.reduce((a, b) => a * b, 1)),
+            '/': numeric('/', (first, ...rest) => rest.reduce((a, b) => a / b, first)),
+            '%': numeric('%', (a, b) => a % b),
+            '=': (a, b) => structurallyEqual(a, b),
+            '!=': (a, b) => !structurallyEqual(a, b),
+            '<': numeric('<', (a, b) => a < b),
+            '>': numeric('>', (a, b) => a > b),
+            '<=': numeric('<=', (a, b) => a <= b),
+            '>=': numeric('>=', (a, b) => a >= b),
+            not: value => value === false || value === null || value === undefined,
+
+            str: (...args) => args.map(arg => typeof arg === 'string' ? arg : toSource(arg)).join(''),
+            print: (...args) => {
+                console.log(...args.map(arg => typeof arg === 'string' ? arg : toSource(arg)));
+                return null;
+            },
+            list: (...args) => args,
+            count: collection => collection ? (collection.length ?? Object.keys(collection).length) : 0,
+            get: (target, key, fallback = null) => (target !== null && target !== undefined && key in Object(target))
+                ? target[key]
+                : fallback,
+            assoc: (target, key, value) => Array.isArray(target)
+                ? Object.assign([...target], { [key]: value })
+                : { ...target, [key]: value },
+            merge: (...objects) => Object.assign({}, ...objects),
+            map: (fn, collection) => collection.map(item => fn(item)),
+            filter: (fn, collection) => collection.filter(item => fn(item)),
+            reduce: (fn, initial, collection) => collection.reduce((acc, item) => fn(acc, item), initial),
+
+            // Core runtime bridge
+            transform: (symbol, operation, data) => {
+                const result = TrinityVibe.vibeTransform(symbol, buildTransformation(operation, data));
+                if (result !== symbol) result.sourceCode = `(vibe ${renderSource(result.value, { type: 'Nil' })})`;
+                return result;
+            },
+            revert: (symbol, steps = 1) => TrinityVibe.vibeRevert(symbol, steps),
+            new: (prototype, data = {}) => TrinityVibe.instantiate(prototype, data),
+            // (call inst :m) gives the method's output; (invoke inst :m) gives {:instance next :out ...}
+            call: (instance, method, ...args) => {
+                const result = TrinityVibe.callMethod(instance, method, ...args);
+                return result ? result.out : null;
+            },
+            invoke: (instance, method, ...args) => TrinityVibe.callMethod(instance, method, ...args),
+            super: (self, method, ...args) => TrinityVibe.callSuper(self, method, ...args),
+            'instance?': (instance, prototype) => TrinityVibe.instanceOf(instance, prototype),
+            value: symbol => symbol.value,
+            history: symbol => symbol.history,
+
+            // Code is data
+            parse: source => parse(source),
+            eval: node => evaluateNode(node, env),
+            source: value => toSource(value)
+        };
+
+        for (const [name, fn] of Object.entries(builtins)) {
+            env.define(name, fn);
+        }
+        return env;
+    }
+
+    // (transform sym f) | (transform sym :set v) | (transform sym :merge {...})
+    function buildTransformation(operation, data) {
+        if (typeof operation === 'function') return { operation };
+        if (operation === 'set') return { operation: 'set', value: data };
+        if (operation === 'merge') return { operation: 'merge', data };
+        throw new VibeEvalError(`transform expects a function, :set or :merge, got ${toSource(operation)}`);
+    }
+
+    // ============= ENTRY POINTS =============
+
+    function evaluate(input, env = createEnvironment()) {
+        let node = input;
+        if (typeof input === 'string') {
+            node = parse(input);
+        } else if (input instanceof TrinityVibe.VibeSymbol) {
+            node = input.value;
+        }
+        return evaluateNode(node, env);
+    }
+
+    function evaluateFile(path, env = createEnvironment()) {
+        const fs = require('fs');
+        return evaluate(fs.readFileSync(path, 'utf8'), env);
+    }
+
+    // Saved spaces keep the vibe source of functions compiled here (see the core FUNCTION CODEC)
+    TrinityVibe.registerFunctionCodec('vibe', {
+        encode: fn => fn.vibeSource || null,
+        decode: restoreFunction
+    });
+
+    // ============= EXPORTS =============
+
+    const api = {
+        VibeSyntaxError,
+        VibeEvalError,
+        VibeEnvironment,
+        tokenize,
+        parse,
+        parseToSymbol,
+        print,
+        toSource,
+        createEnvironment,
+        evaluate,
+        evaluateFile
+    };
+
+    // For Node.js
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    // For browsers
+    if (typeof window !== 'undefined' && window.TrinityVibe) {
+        window.TrinityVibe.lang = api;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);